@@ -0,0 +1,85 @@
+import { MEMBER_KIND_NAME, instructionSet } from './opcodes';
+import { decodeBinary, findSourceLocation } from './format';
+
+// ==================== DISASSEMBLER ====================
+// Decodes a PBO3 or NBO2 binary (bytes or hex) into its header, constant
+// pool, function and exception tables and one entry per instruction, with
+// jump offsets resolved to target addresses.
+export function disassembleBinary(hexInput) {
+  const binary = decodeBinary(hexInput);
+  const { magic, version, flags, entry, dataSize, codeSize } = binary;
+  const constants = binary.constants.map((value, idx) => ({ type: binary.constantTypes[idx], value }));
+  const code = Array.from(binary.code);
+  const functions = binary.functions || [];
+  const { names, operands: layouts } = instructionSet(magic);
+  const disassembly = [];
+  let i = 0;
+
+  function readOperand(size) {
+    if (i + size > code.length) throw new Error('Truncated instruction');
+    let value = 0;
+    for (let k = 0; k < size; k++) value = (value * 256) + code[i + k];
+    i += size;
+    return value;
+  }
+  function toI16(value) {
+    return value > 32767 ? value - 65536 : value;
+  }
+  function toI32(value) {
+    return value | 0;
+  }
+
+  while (i < code.length) {
+    const start = i;
+    const op = code[i];
+    const mnemonic = names[op] || `UNKNOWN_0x${op.toString(16).padStart(2,'0')}`;
+    let line = {
+      address: i,
+      opcode: op,
+      mnemonic: mnemonic,
+      operands: [],
+      bytes: [],
+      loc: findSourceLocation(binary.sourceMap, i)
+    };
+    i++;
+
+    const offsets = [];
+    (layouts[op] || []).forEach(kind => {
+      if (kind === 'const') {
+        const idx = readOperand(4);
+        line.operands.push({ type: 'const', value: idx, resolved: constants[idx] });
+      } else if (kind === 'func') {
+        const idx = readOperand(4);
+        line.operands.push({ type: 'func', value: idx, resolved: functions[idx] });
+      } else if (kind === 'count') {
+        line.operands.push({ type: 'count', value: readOperand(4) });
+      } else if (kind === 'count16') {
+        line.operands.push({ type: 'count', value: readOperand(2) });
+      } else if (kind === 'slot' || kind === 'upvalue') {
+        line.operands.push({ type: kind, value: readOperand(2) });
+      } else if (kind === 'kind') {
+        const value = readOperand(1);
+        line.operands.push({ type: 'kind', value, resolved: MEMBER_KIND_NAME[value] });
+      } else if (kind === 'offset') {
+        offsets.push(toI16(readOperand(2)));
+      } else if (kind === 'offsets') {
+        const count = readOperand(2);
+        for (let k = 0; k < count; k++) offsets.push(toI16(readOperand(2)));
+      } else if (kind === 'offset32') {
+        offsets.push(toI32(readOperand(4)));
+      } else if (kind === 'offsets32') {
+        const count = readOperand(2);
+        for (let k = 0; k < count; k++) offsets.push(toI32(readOperand(4)));
+      }
+    });
+    // Offsets are relative to the end of the instruction
+    offsets.forEach(offset => {
+      line.operands.push({ type: 'offset', value: offset, target: i + offset });
+    });
+
+    line.bytes = code.slice(start, i).map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+    disassembly.push(line);
+  }
+
+  return { magic, version, flags, entry, dataSize, codeSize, constants, functions, exceptions: binary.exceptions || [], sourceMap: binary.sourceMap, disassembly };
+}
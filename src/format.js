@@ -0,0 +1,496 @@
+// ==================== BINARY FORMAT ====================
+// Layout shared by every program binary (all integers big-endian):
+//
+//   offset  size  field
+//   0       4     magic      'PBO3' (program-bots) or 'NBO2' (network-bots)
+//   4       2     version    format version for that magic
+//   6       2     flags      FLAGS bits
+//   8       4     entry      code offset where execution starts
+//   12      4     dataSize   byte length of the constant pool
+//   16      4     codeSize   byte length of the code section
+//   20      ...   constant pool, then code section, then the optional
+//                 function table, exception table and debug sections, in
+//                 that order
+//
+// The constant pool is a sequence of type-tagged entries (see below).
+//
+// The function table is present when FLAGS.FUNCTION_TABLE is set. It is a
+// u32 entry count followed by one entry per compiled function:
+//
+//   size  field
+//   4     offset     code offset of the function's first instruction
+//   4     name       constant index of the function name ('' if anonymous)
+//   2     arity      number of declared parameters, not counting a rest
+//                    parameter (FUNCTION_FLAGS.REST)
+//   2     locals     number of frame slots the function uses
+//   2     upvalues   number of upvalues its closures capture
+//   2     flags      FUNCTION_FLAGS bits
+//
+// MAKE_CLOSURE refers to functions by their index in this table; one
+// CAPTURE_LOCAL or CAPTURE_UPVALUE per upvalue follows it.
+//
+// When FLAGS.SUSPEND_POINTS is set, the entries are followed by the suspend
+// points of each function, in table order: a u16 count, then the u32 code
+// offset of each GENERATOR, AWAIT, YIELD or YIELD_DELEGATE instruction in
+// its body. A suspended frame resumes after the instruction it stopped at.
+//
+// The exception table is present when FLAGS.EXCEPTION_TABLE is set. It is a
+// u32 entry count followed by entries of five u32s:
+//
+//   start, end  code range the entry protects, the end exclusive
+//   handler     code offset of the catch block, NO_HANDLER if none
+//   finally     code offset of the finally handler, NO_HANDLER if none
+//   binding     constant index of the catch parameter's name ('' if the
+//               parameter is a pattern or there is no catch block)
+//
+// An exception raised in the range continues at the catch block, or else at
+// the finally handler, with the stack of its frame emptied and the exception
+// pushed. A finally handler ends by rethrowing it. Entries are listed
+// innermost range first, so the first one covering an instruction handles
+// it.
+//
+// The debug section is present when FLAGS.DEBUG_INFO is set. It is a u32
+// entry count followed by entries of five u32s: code offset, start line,
+// start column, end line, end column (lines and columns 1-based, the end
+// exclusive). Entries are sorted by offset and each one covers the code up
+// to the next.
+
+export const HEADER_SIZE = 20;
+
+export const FLAGS = {
+  DEBUG_INFO: 0x0001,
+  FUNCTION_TABLE: 0x0002,
+  SUSPEND_POINTS: 0x0004,
+  EXCEPTION_TABLE: 0x0008,
+};
+
+export const NO_HANDLER = 0xFFFFFFFF;
+
+export const FUNCTION_FLAGS = {
+  ASYNC: 0x0001,
+  GENERATOR: 0x0002,
+  ARROW: 0x0004,
+  REST: 0x0008,
+};
+
+const DEBUG_ENTRY_SIZE = 20;
+const EXCEPTION_ENTRY_SIZE = 20;
+const FUNCTION_ENTRY_SIZE = 16;
+
+export const FORMAT_VERSIONS = {
+  PBO3: 3,
+  NBO2: 2,
+};
+
+// ==================== CONSTANT POOL ====================
+// Every entry starts with a one-byte type tag followed by its payload:
+//
+//   0x01 STRING     u32 byte length, UTF-8 bytes
+//   0x02 NUMBER     f64, little-endian
+//   0x03 INTEGER    i32
+//   0x04 BOOLEAN    u8 0 or 1
+//   0x05 NULL       -
+//   0x06 BIGINT     i64, little-endian
+//   0x07 ARRAY      u32 element count, then that many tagged entries
+//   0x08 OBJECT     u32 property count, then per property a u32 key length,
+//                   the UTF-8 key and a tagged value
+//   0x09 UNDEFINED  -
+//   0x0A REGEX      pattern source, then flags, each as a u32 byte length
+//                   and UTF-8 bytes
+
+export const CONST_TYPE = {
+  STRING: 0x01,
+  NUMBER: 0x02,
+  INTEGER: 0x03,
+  BOOLEAN: 0x04,
+  NULL: 0x05,
+  BIGINT: 0x06,
+  ARRAY: 0x07,
+  OBJECT: 0x08,
+  UNDEFINED: 0x09,
+  REGEX: 0x0A,
+};
+
+const MIN_I64 = -(2n ** 63n);
+const MAX_I64 = 2n ** 63n - 1n;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+function writeConstant(out, value) {
+  function u8(byte) {
+    out.push(byte & 0xFF);
+  }
+  function u32(n) {
+    out.push((n >>> 24) & 0xFF, (n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF);
+  }
+  function bytes8(setter) {
+    const view = new DataView(new ArrayBuffer(8));
+    setter(view);
+    for (let i = 0; i < 8; i++) out.push(view.getUint8(i));
+  }
+  function text(str) {
+    const encoded = textEncoder.encode(str);
+    u32(encoded.length);
+    encoded.forEach(b => out.push(b));
+  }
+
+  if (typeof value === 'string') {
+    u8(CONST_TYPE.STRING);
+    text(value);
+  } else if (typeof value === 'number') {
+    if (Number.isInteger(value) && value === (value | 0) && !Object.is(value, -0)) {
+      u8(CONST_TYPE.INTEGER);
+      u32(value);
+    } else {
+      u8(CONST_TYPE.NUMBER);
+      bytes8(view => view.setFloat64(0, value, true));
+    }
+  } else if (typeof value === 'boolean') {
+    u8(CONST_TYPE.BOOLEAN);
+    u8(value ? 1 : 0);
+  } else if (value === null) {
+    u8(CONST_TYPE.NULL);
+  } else if (value === undefined) {
+    u8(CONST_TYPE.UNDEFINED);
+  } else if (typeof value === 'bigint') {
+    if (value < MIN_I64 || value > MAX_I64) throw new Error(`BigInt constant ${value}n does not fit in 64 bits`);
+    u8(CONST_TYPE.BIGINT);
+    bytes8(view => view.setBigInt64(0, value, true));
+  } else if (value instanceof RegExp) {
+    u8(CONST_TYPE.REGEX);
+    text(value.source);
+    text(value.flags);
+  } else if (Array.isArray(value)) {
+    u8(CONST_TYPE.ARRAY);
+    u32(value.length);
+    for (let i = 0; i < value.length; i++) writeConstant(out, value[i]);
+  } else if (typeof value === 'object') {
+    const keys = Object.keys(value);
+    u8(CONST_TYPE.OBJECT);
+    u32(keys.length);
+    keys.forEach(key => {
+      text(key);
+      writeConstant(out, value[key]);
+    });
+  } else {
+    throw new Error(`Cannot encode constant of type ${typeof value}`);
+  }
+}
+
+// Reads one tagged entry at pos; returns { type, value, end }.
+function readConstant(view, pos, end) {
+  function need(size) {
+    if (pos + size > end) throw new Error('Truncated constant pool');
+  }
+  function u32() {
+    need(4);
+    const n = view.getUint32(pos);
+    pos += 4;
+    return n;
+  }
+  function text() {
+    const length = u32();
+    need(length);
+    const str = textDecoder.decode(new Uint8Array(view.buffer, view.byteOffset + pos, length));
+    pos += length;
+    return str;
+  }
+
+  need(1);
+  const type = view.getUint8(pos++);
+  let value;
+  switch (type) {
+    case CONST_TYPE.STRING:
+      value = text();
+      break;
+    case CONST_TYPE.NUMBER:
+      need(8);
+      value = view.getFloat64(pos, true);
+      pos += 8;
+      break;
+    case CONST_TYPE.INTEGER:
+      need(4);
+      value = view.getInt32(pos);
+      pos += 4;
+      break;
+    case CONST_TYPE.BOOLEAN:
+      need(1);
+      value = view.getUint8(pos++) === 1;
+      break;
+    case CONST_TYPE.NULL:
+      value = null;
+      break;
+    case CONST_TYPE.UNDEFINED:
+      value = undefined;
+      break;
+    case CONST_TYPE.BIGINT:
+      need(8);
+      value = view.getBigInt64(pos, true);
+      pos += 8;
+      break;
+    case CONST_TYPE.REGEX: {
+      const source = text();
+      const flags = text();
+      try {
+        value = new RegExp(source, flags);
+      } catch (err) {
+        throw new Error(`Invalid regex constant /${source}/${flags} at offset ${pos}`);
+      }
+      break;
+    }
+    case CONST_TYPE.ARRAY: {
+      const count = u32();
+      value = [];
+      for (let i = 0; i < count; i++) {
+        const element = readConstant(view, pos, end);
+        value.push(element.value);
+        pos = element.end;
+      }
+      break;
+    }
+    case CONST_TYPE.OBJECT: {
+      const count = u32();
+      value = {};
+      for (let i = 0; i < count; i++) {
+        const key = text();
+        const property = readConstant(view, pos, end);
+        value[key] = property.value;
+        pos = property.end;
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown constant type 0x${type.toString(16).padStart(2, '0')} at offset ${pos - 1}`);
+  }
+  return { type, value, end: pos };
+}
+
+// ==================== ENCODING ====================
+// `functions` entries are { offset, nameIndex, arity, localCount,
+// upvalueCount, flags, suspendPoints }, suspendPoints being optional.
+// `exceptions` entries are { start, end, handler, finally, bindingIndex },
+// a missing handler being null.
+export function encodeBinary({ magic, code, constants, entry = 0, flags = 0, functions = null, exceptions = null, sourceMap = null }) {
+  const version = FORMAT_VERSIONS[magic];
+  if (version === undefined) throw new Error(`Unknown binary magic: ${magic}`);
+
+  const data = [];
+  constants.forEach(constant => writeConstant(data, constant));
+  const dataSize = data.length;
+  const suspending = functions && functions.some(fn => fn.suspendPoints && fn.suspendPoints.length);
+  const suspendSize = suspending
+    ? functions.reduce((size, fn) => size + 2 + 4 * (fn.suspendPoints || []).length, 0)
+    : 0;
+  const functionsSize = functions ? 4 + functions.length * FUNCTION_ENTRY_SIZE + suspendSize : 0;
+  if (exceptions && !exceptions.length) exceptions = null;
+  const exceptionsSize = exceptions ? 4 + exceptions.length * EXCEPTION_ENTRY_SIZE : 0;
+  const debugSize = sourceMap ? 4 + sourceMap.length * DEBUG_ENTRY_SIZE : 0;
+  if (functions) flags |= FLAGS.FUNCTION_TABLE;
+  if (exceptions) flags |= FLAGS.EXCEPTION_TABLE;
+  if (suspending) flags |= FLAGS.SUSPEND_POINTS;
+  if (sourceMap) flags |= FLAGS.DEBUG_INFO;
+  const out = new Uint8Array(HEADER_SIZE + dataSize + code.length + functionsSize + exceptionsSize + debugSize);
+  const view = new DataView(out.buffer);
+
+  for (let i = 0; i < 4; i++) out[i] = magic.charCodeAt(i);
+  view.setUint16(4, version);
+  view.setUint16(6, flags);
+  view.setUint32(8, entry);
+  view.setUint32(12, dataSize);
+  view.setUint32(16, code.length);
+
+  out.set(data, HEADER_SIZE);
+  out.set(code, HEADER_SIZE + dataSize);
+
+  let pos = HEADER_SIZE + dataSize + code.length;
+  if (functions) {
+    view.setUint32(pos, functions.length);
+    pos += 4;
+    functions.forEach(fn => {
+      view.setUint32(pos, fn.offset);
+      view.setUint32(pos + 4, fn.nameIndex);
+      view.setUint16(pos + 8, fn.arity);
+      view.setUint16(pos + 10, fn.localCount);
+      view.setUint16(pos + 12, fn.upvalueCount);
+      view.setUint16(pos + 14, fn.flags);
+      pos += FUNCTION_ENTRY_SIZE;
+    });
+  }
+  if (suspending) {
+    functions.forEach(fn => {
+      const points = fn.suspendPoints || [];
+      view.setUint16(pos, points.length);
+      pos += 2;
+      points.forEach(offset => {
+        view.setUint32(pos, offset);
+        pos += 4;
+      });
+    });
+  }
+  if (exceptions) {
+    view.setUint32(pos, exceptions.length);
+    pos += 4;
+    exceptions.forEach(entry => {
+      [entry.start, entry.end, entry.handler ?? NO_HANDLER, entry.finally ?? NO_HANDLER, entry.bindingIndex].forEach(n => {
+        view.setUint32(pos, n);
+        pos += 4;
+      });
+    });
+  }
+  if (sourceMap) {
+    view.setUint32(pos, sourceMap.length);
+    pos += 4;
+    sourceMap.forEach(({ offset, loc }) => {
+      [offset, loc.start.line, loc.start.column, loc.end.line, loc.end.column].forEach(n => {
+        view.setUint32(pos, n);
+        pos += 4;
+      });
+    });
+  }
+  return out;
+}
+
+// ==================== DECODING ====================
+export function hexToBytes(hex) {
+  let clean = hex.replace(/\s+/g, '');
+  if (clean.startsWith('0x')) clean = clean.slice(2);
+  if (clean.startsWith('\\x')) clean = clean.slice(2);
+  if (clean.length % 2 !== 0) throw new Error('Invalid hex length');
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = parseInt(clean.substr(i * 2, 2), 16);
+    if (Number.isNaN(byte)) throw new Error(`Invalid hex byte at offset ${i}`);
+    bytes[i] = byte;
+  }
+  return bytes;
+}
+
+// Accepts a hex string (as stored by the Worker) or raw bytes. When
+// expectedMagic is given, binaries of any other kind are rejected.
+export function decodeBinary(input, expectedMagic) {
+  const bytes = typeof input === 'string' ? hexToBytes(input) : new Uint8Array(input);
+  if (bytes.length < HEADER_SIZE) throw new Error('Binary too short');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+  if (expectedMagic && magic !== expectedMagic) throw new Error(`Expected ${expectedMagic} binary, got magic ${magic}`);
+  if (!(magic in FORMAT_VERSIONS)) throw new Error(`Unknown binary magic: ${magic}`);
+  const version = view.getUint16(4);
+  if (version !== FORMAT_VERSIONS[magic]) throw new Error(`Unsupported ${magic} format version ${version}`);
+  const flags = view.getUint16(6);
+  const entry = view.getUint32(8);
+  const dataSize = view.getUint32(12);
+  const codeSize = view.getUint32(16);
+  if (bytes.length < HEADER_SIZE + dataSize + codeSize) throw new Error('Binary size mismatch');
+
+  const constants = [];
+  const constantTypes = [];
+  const dataEnd = HEADER_SIZE + dataSize;
+  let pos = HEADER_SIZE;
+  while (pos < dataEnd) {
+    const { type, value, end } = readConstant(view, pos, dataEnd);
+    constants.push(value);
+    constantTypes.push(type);
+    pos = end;
+  }
+
+  const code = bytes.subarray(dataEnd, dataEnd + codeSize);
+  pos = dataEnd + codeSize;
+
+  let functions = null;
+  if (flags & FLAGS.FUNCTION_TABLE) {
+    if (pos + 4 > bytes.length) throw new Error('Truncated function table');
+    const count = view.getUint32(pos);
+    pos += 4;
+    if (pos + count * FUNCTION_ENTRY_SIZE > bytes.length) throw new Error('Truncated function table');
+    functions = [];
+    for (let i = 0; i < count; i++, pos += FUNCTION_ENTRY_SIZE) {
+      const fn = {
+        offset: view.getUint32(pos),
+        nameIndex: view.getUint32(pos + 4),
+        arity: view.getUint16(pos + 8),
+        localCount: view.getUint16(pos + 10),
+        upvalueCount: view.getUint16(pos + 12),
+        flags: view.getUint16(pos + 14),
+      };
+      if (fn.offset >= codeSize) throw new Error(`Function ${i} starts outside the code section`);
+      if (typeof constants[fn.nameIndex] !== 'string') throw new Error(`Function ${i} has an invalid name index`);
+      fn.name = constants[fn.nameIndex];
+      fn.suspendPoints = [];
+      functions.push(fn);
+    }
+    if (flags & FLAGS.SUSPEND_POINTS) {
+      functions.forEach((fn, i) => {
+        if (pos + 2 > bytes.length) throw new Error('Truncated suspend points');
+        const count = view.getUint16(pos);
+        pos += 2;
+        if (pos + count * 4 > bytes.length) throw new Error('Truncated suspend points');
+        for (let j = 0; j < count; j++, pos += 4) {
+          const offset = view.getUint32(pos);
+          if (offset >= codeSize) throw new Error(`Function ${i} has a suspend point outside the code section`);
+          fn.suspendPoints.push(offset);
+        }
+      });
+    }
+  }
+
+  let exceptions = null;
+  if (flags & FLAGS.EXCEPTION_TABLE) {
+    if (pos + 4 > bytes.length) throw new Error('Truncated exception table');
+    const count = view.getUint32(pos);
+    pos += 4;
+    if (pos + count * EXCEPTION_ENTRY_SIZE > bytes.length) throw new Error('Truncated exception table');
+    exceptions = [];
+    for (let i = 0; i < count; i++, pos += EXCEPTION_ENTRY_SIZE) {
+      const [start, end, handler, finallyHandler, bindingIndex] = [0, 4, 8, 12, 16].map(at => view.getUint32(pos + at));
+      if (start > end || end > codeSize) throw new Error(`Exception entry ${i} covers a range outside the code section`);
+      if (handler === NO_HANDLER && finallyHandler === NO_HANDLER) throw new Error(`Exception entry ${i} has no handler`);
+      [handler, finallyHandler].forEach(offset => {
+        if (offset !== NO_HANDLER && offset >= codeSize) throw new Error(`Exception entry ${i} has a handler outside the code section`);
+      });
+      if (typeof constants[bindingIndex] !== 'string') throw new Error(`Exception entry ${i} has an invalid binding index`);
+      exceptions.push({
+        start,
+        end,
+        handler: handler === NO_HANDLER ? null : handler,
+        finally: finallyHandler === NO_HANDLER ? null : finallyHandler,
+        bindingIndex,
+        binding: constants[bindingIndex],
+      });
+    }
+  }
+
+  let sourceMap = null;
+  if (flags & FLAGS.DEBUG_INFO) {
+    if (pos + 4 > bytes.length) throw new Error('Truncated debug section');
+    const count = view.getUint32(pos);
+    pos += 4;
+    if (pos + count * DEBUG_ENTRY_SIZE > bytes.length) throw new Error('Truncated debug section');
+    sourceMap = [];
+    for (let i = 0; i < count; i++, pos += DEBUG_ENTRY_SIZE) {
+      sourceMap.push({
+        offset: view.getUint32(pos),
+        loc: {
+          start: { line: view.getUint32(pos + 4), column: view.getUint32(pos + 8) },
+          end: { line: view.getUint32(pos + 12), column: view.getUint32(pos + 16) },
+        },
+      });
+    }
+  }
+
+  return { magic, version, flags, entry, dataSize, codeSize, constants, constantTypes, code, functions, exceptions, sourceMap };
+}
+
+// Source span of the instruction at `offset`, or null without debug info.
+export function findSourceLocation(sourceMap, offset) {
+  if (!sourceMap || !sourceMap.length || offset < sourceMap[0].offset) return null;
+  let lo = 0;
+  let hi = sourceMap.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (sourceMap[mid].offset <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return sourceMap[lo].loc;
+}
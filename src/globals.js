@@ -0,0 +1,11 @@
+// ==================== GLOBALS ====================
+// The host globals a program can name. The VM copies them from the host's
+// globalThis, and the analyzer accepts them as defined.
+export const DEFAULT_GLOBALS = [
+  'console', 'Math', 'JSON', 'Object', 'Array', 'String', 'Number', 'Boolean',
+  'Date', 'RegExp', 'Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError',
+  'Promise', 'Map', 'Set', 'WeakMap', 'WeakSet', 'Symbol', 'Reflect', 'Proxy',
+  'BigInt', 'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'NaN', 'Infinity', 'undefined',
+  'globalThis', 'window', 'document', 'fetch', 'setTimeout', 'setInterval',
+  'clearTimeout', 'clearInterval', 'WebSocket', 'EventTarget', 'Event'
+];
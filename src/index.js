@@ -1,87 +1,8 @@
 import { Ai } from '@cloudflare/ai';
-import { compileProgramBot, compileNetworkBots } from './compiler';
-
-// ==================== ENHANCED OPCODE DEFINITIONS ====================
-const OP = {
-  // Basic stack operations
-  PUSH_CONST:   0x01,
-  POP:          0x02,
-  DUP:          0x03,
-  SWAP:         0x04,
-  LOAD_VAR:     0x05,
-  STORE_VAR:    0x06,
-  LOAD_GLOBAL:  0x07,
-  STORE_GLOBAL: 0x08,
-  ADD:          0x09,
-  SUB:          0x0A,
-  MUL:          0x0B,
-  DIV:          0x0C,
-  MOD:          0x0D,
-  EQ:           0x0E,
-  NEQ:          0x0F,
-  LT:           0x10,
-  GT:           0x11,
-  LTE:          0x12,
-  GTE:          0x13,
-  AND:          0x14,
-  OR:           0x15,
-  NOT:          0x16,
-  BIT_AND:      0x17,
-  BIT_OR:       0x18,
-  BIT_XOR:      0x19,
-  BIT_NOT:      0x1A,
-  SHL:          0x1B,
-  SHR:          0x1C,
-  USHR:         0x1D,
-  NEG:          0x1E,
-  POS:          0x1F,
-  JMP:          0x20,
-  JZ:           0x21,
-  JNZ:          0x22,
-  CALL:         0x23,
-  RETURN:       0x24,
-  ENTER_FUNC:   0x25,
-  EXIT_FUNC:    0x26,
-  NEW_ARRAY:    0x27,
-  NEW_OBJECT:   0x28,
-  SET_PROP:     0x29,
-  GET_PROP:     0x2A,
-  SET_PROP_COMPUTED: 0x2B,
-  GET_PROP_COMPUTED: 0x2C,
-  DELETE_PROP:  0x2D,
-  HAS_PROP:     0x2E,
-  TYPEOF:       0x2F,
-  NEW_CLASS:    0x30,
-  DEFINE_METHOD: 0x31,
-  INVOKE_SUPER: 0x32,
-  INSTANCEOF:   0x33,
-  IN_OP:        0x34,
-  POW:          0x35,
-  COALESCE:     0x36,
-  IMPORT:       0x37,
-  EXPORT:       0x38,
-  IMPORT_DEFAULT: 0x39,
-  EXPORT_DEFAULT: 0x3A,
-  IMPORT_DYNAMIC: 0x3B,
-  AWAIT:        0x3C,
-  ASYNC_FUNC:   0x3D,
-  YIELD:        0x3E,
-  GENERATOR:    0x3F,
-  GET_ITERATOR: 0x40,
-  ITER_NEXT:    0x41,
-  ITER_DONE:    0x42,
-  THROW:        0x43,
-  CATCH:        0x44,
-  FINALLY:      0x45,
-  END_CATCH:    0x46,
-  DEBUGGER:     0xF0,
-  HALT:         0xFF,
-};
-
-// Reverse mapping
-const OP_NAME = Object.fromEntries(
-  Object.entries(OP).map(([name, code]) => [code, name])
-);
+import { compile, OPTIMIZE_LEVELS } from './compiler';
+import { OP } from './opcodes';
+import { FUNCTION_FLAGS } from './format';
+import { disassembleBinary } from './disassembler';
 
 // ==================== GLOBAL HELPERS ====================
 function escapeHtml(unsafe) {
@@ -106,6 +27,18 @@ function bufferToHex(buffer) {
   return '0x' + Buffer.from(buffer).toString('hex').toUpperCase();
 }
 
+// JSON-like rendering of a constant-pool value that also covers bigint and undefined.
+function formatConstant(value) {
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'bigint') return `${value}n`;
+  if (value instanceof RegExp) return String(value);
+  if (Array.isArray(value)) return `[${value.map(formatConstant).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${formatConstant(v)}`).join(', ')}}`;
+  }
+  return JSON.stringify(value);
+}
+
 function formatHex(hexString) {
   const hex = hexString.startsWith('0x') ? hexString.slice(2) : hexString.replace(/\\x/g, '');
   const pairs = hex.match(/.{1,2}/g) || [];
@@ -124,137 +57,6 @@ function formatHex(hexString) {
   return lines.join('\n');
 }
 
-function disassembleBinary(hexInput) {
-  let clean = hexInput.replace(/\s+/g, '');
-  if (clean.startsWith('0x')) clean = clean.slice(2);
-  if (clean.startsWith('\\x')) clean = clean.slice(2);
-  if (clean.length % 2 !== 0) throw new Error('Invalid hex length');
-  
-  const bytes = [];
-  for (let i = 0; i < clean.length; i += 2) {
-    bytes.push(parseInt(clean.substr(i, 2), 16));
-  }
-
-  let pos = 0;
-  if (bytes.length < 16) throw new Error('Binary too short');
-  
-  const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
-  const version = (bytes[4] << 8) | bytes[5];
-  const flags = (bytes[6] << 8) | bytes[7];
-  const entry = (bytes[8] << 24) | (bytes[9] << 16) | (bytes[10] << 8) | bytes[11];
-  const dataSize = (bytes[12] << 24) | (bytes[13] << 16) | (bytes[14] << 8) | bytes[15];
-  const codeSize = (bytes[16] << 24) | (bytes[17] << 16) | (bytes[18] << 8) | bytes[19];
-  pos = 20;
-
-  if (bytes.length < 20 + dataSize + codeSize) throw new Error('Binary size mismatch');
-
-  const constants = [];
-  const dataEnd = pos + dataSize;
-  while (pos < dataEnd) {
-    const type = bytes[pos++];
-    let value;
-    
-    switch(type) {
-      case 0x01: // String
-        const strLen = (bytes[pos] << 24) | (bytes[pos+1] << 16) | (bytes[pos+2] << 8) | bytes[pos+3];
-        pos += 4;
-        const strBytes = bytes.slice(pos, pos + strLen);
-        value = new TextDecoder().decode(new Uint8Array(strBytes));
-        pos += strLen;
-        break;
-      case 0x02: // Number (double)
-        const buf = new ArrayBuffer(8);
-        const view = new DataView(buf);
-        for (let i = 0; i < 8; i++) view.setUint8(i, bytes[pos + i]);
-        value = view.getFloat64(0, true);
-        pos += 8;
-        break;
-      case 0x03: // Integer
-        value = (bytes[pos] << 24) | (bytes[pos+1] << 16) | (bytes[pos+2] << 8) | bytes[pos+3];
-        pos += 4;
-        break;
-      case 0x04: // Boolean
-        value = bytes[pos++] === 1;
-        break;
-      case 0x05: // Null
-        value = null;
-        break;
-      case 0x06: // BigInt
-        const bigBuf = new ArrayBuffer(8);
-        const bigView = new DataView(bigBuf);
-        for (let i = 0; i < 8; i++) bigView.setUint8(i, bytes[pos + i]);
-        value = BigInt.asIntN(64, BigInt(bigView.getBigInt64(0, true)));
-        pos += 8;
-        break;
-      case 0x07: // Array
-        const arrLen = (bytes[pos] << 24) | (bytes[pos+1] << 16) | (bytes[pos+2] << 8) | bytes[pos+3];
-        pos += 4;
-        value = new Array(arrLen);
-        for (let i = 0; i < arrLen; i++) {
-          value[i] = `[complex]`;
-        }
-        break;
-      case 0x08: // Object
-        const objLen = (bytes[pos] << 24) | (bytes[pos+1] << 16) | (bytes[pos+2] << 8) | bytes[pos+3];
-        pos += 4;
-        value = {};
-        for (let i = 0; i < objLen; i++) {
-          pos += 8;
-        }
-        break;
-      default:
-        value = `[unknown type 0x${type.toString(16)}]`;
-    }
-    constants.push({ type, value });
-  }
-
-  const code = bytes.slice(pos, pos + codeSize);
-  const disassembly = [];
-  let i = 0;
-  
-  while (i < code.length) {
-    const op = code[i];
-    const mnemonic = OP_NAME[op] || `UNKNOWN_0x${op.toString(16).padStart(2,'0')}`;
-    let line = {
-      address: i,
-      opcode: op,
-      mnemonic: mnemonic,
-      operands: [],
-      bytes: []
-    };
-    
-    let bytesForOp = [op];
-    i++;
-
-    if ([0x01, 0x05, 0x06, 0x07, 0x08, 0x29, 0x2A].includes(op)) {
-      if (i + 3 >= code.length) throw new Error('Truncated instruction');
-      const idx = (code[i] << 24) | (code[i+1] << 16) | (code[i+2] << 8) | code[i+3];
-      const constVal = constants[idx];
-      line.operands.push({ type: 'const', value: idx, resolved: constVal });
-      bytesForOp.push(code[i], code[i+1], code[i+2], code[i+3]);
-      i += 4;
-    } else if ([0x20, 0x21, 0x22].includes(op)) {
-      if (i + 1 >= code.length) throw new Error('Truncated jump');
-      let offset = (code[i] << 8) | code[i+1];
-      if (offset > 32767) offset -= 65536;
-      line.operands.push({ type: 'offset', value: offset, target: i + 2 + offset });
-      bytesForOp.push(code[i], code[i+1]);
-      i += 2;
-    } else if ([0x23, 0x27, 0x30].includes(op)) {
-      if (i + 3 >= code.length) throw new Error('Truncated instruction');
-      const arg = (code[i] << 24) | (code[i+1] << 16) | (code[i+2] << 8) | code[i+3];
-      line.operands.push({ type: 'count', value: arg });
-      bytesForOp.push(code[i], code[i+1], code[i+2], code[i+3]);
-      i += 4;
-    }
-    
-    line.bytes = bytesForOp.map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
-    disassembly.push(line);
-  }
-
-  return { magic, version, flags, entry, dataSize, codeSize, constants, disassembly };
-}
-
 // ==================== AI FEATURES ====================
 async function handleAITransform(request, env) {
   try {
@@ -466,17 +268,14 @@ Return ONLY the code without explanation.`;
     const codeMatch = generatedCode.match(/```(?:\w+)?\n([\s\S]+?)```/);
     const cleanCode = codeMatch ? codeMatch[1] : generatedCode;
 
-    let binaryBuffer;
-    try {
-      if (type === 'program-bot') {
-        binaryBuffer = compileProgramBot(cleanCode);
-      } else {
-        binaryBuffer = compileNetworkBots(cleanCode);
-      }
-    } catch (err) {
+    const { binary: binaryBuffer, diagnostics } = compile(cleanCode, {
+      type: type === 'program-bot' ? 'program-bot' : 'network-bots',
+      sourceMap: true,
+    });
+    if (!binaryBuffer) {
       return new Response(JSON.stringify({ 
         error: 'Compilation failed', 
-        details: err.message,
+        diagnostics,
         generatedCode: cleanCode,
         suggestion: 'Try simplifying the code or check for syntax errors.'
       }), { status: 400 });
@@ -1041,6 +840,14 @@ const LAYOUT_CSS = `
     text-shadow: 0 0 10px currentColor;
   }
 
+  .cm-diagnostic-error {
+    text-decoration: underline wavy var(--accent-primary);
+  }
+
+  .cm-diagnostic-warning {
+    text-decoration: underline wavy var(--accent-warning);
+  }
+
   .particle-bg {
     position: fixed;
     top: 0;
@@ -1105,6 +912,38 @@ function downloadAsFile(content, filename) {
 }
 `;
 
+// ==================== DIAGNOSTICS JS ====================
+// Client helpers for the diagnostics a failed compile returns: a one-line
+// summary for toasts and underlines in a CodeMirror editor.
+const DIAGNOSTICS_JS = `
+function describeDiagnostics(data) {
+  if (!data.diagnostics || !data.diagnostics.length) return data.error;
+  const errors = data.diagnostics.filter(d => d.severity === 'error');
+  const first = errors[0] || data.diagnostics[0];
+  const where = first.range ? ' (line ' + first.range.start.line + ')' : '';
+  const more = errors.length > 1 ? ' and ' + (errors.length - 1) + ' more' : '';
+  return first.code + ': ' + first.message + where + more;
+}
+
+let diagnosticMarks = [];
+function markDiagnostics(cm, diagnostics) {
+  diagnosticMarks.forEach(mark => mark.clear());
+  diagnosticMarks = [];
+  const located = (diagnostics || []).filter(d => d.range);
+  located.forEach(d => {
+    const from = { line: d.range.start.line - 1, ch: d.range.start.column - 1 };
+    let to = { line: d.range.end.line - 1, ch: d.range.end.column - 1 };
+    if (to.line === from.line && to.ch <= from.ch) to = { line: from.line, ch: from.ch + 1 };
+    const title = d.code + ': ' + d.message + (d.hints || []).map(h => '\\n' + h.message).join('');
+    diagnosticMarks.push(cm.markText(from, to, { className: 'cm-diagnostic-' + d.severity, title }));
+  });
+  if (located.length) {
+    cm.setCursor({ line: located[0].range.start.line - 1, ch: located[0].range.start.column - 1 });
+    cm.scrollIntoView(null, 100);
+  }
+}
+`;
+
 // ==================== ROOT HTML ====================
 const ROOT_HTML = `<!DOCTYPE html>
 <html lang="en">
@@ -1303,6 +1142,7 @@ const ROOT_HTML = `<!DOCTYPE html>
 
   <script>
     ${TOAST_JS}
+    ${DIAGNOSTICS_JS}
 
     // Initialize CodeMirror
     const sourceTextarea = document.getElementById('source');
@@ -1409,7 +1249,7 @@ const ROOT_HTML = `<!DOCTYPE html>
             '<a href="' + data.adminUrl + '" target="_blank" class="btn btn-secondary">Admin</a>';
           aiResponse.style.display = 'block';
         } else {
-          showToast('Error: ' + (data.details || data.error), 'error');
+          showToast('Error: ' + describeDiagnostics(data), 'error');
           if (data.generatedCode) {
             aiResponse.innerHTML = '<strong>⚠️ Generated Code (with errors):</strong>' +
               '<pre style="background:#1f1f1f; padding:1rem; border-radius:8px; margin-top:1rem; max-height:300px; overflow:auto;">' +
@@ -1675,11 +1515,12 @@ const ROOT_HTML = `<!DOCTYPE html>
           body: JSON.stringify({ source, type })
         });
         const data = await res.json();
+        markDiagnostics(cm, data.diagnostics);
         if (res.ok) {
           showToast('Program created! Redirecting...');
           setTimeout(() => { window.location.href = data.adminUrl; }, 1500);
         } else {
-          showToast('Error: ' + (data.details || data.error), 'error');
+          showToast('Error: ' + describeDiagnostics(data), 'error');
           btn.disabled = false;
           spinner.style.display = 'none';
         }
@@ -1884,6 +1725,7 @@ function adminViewHTML(program) {
 
   <script>
     ${TOAST_JS}
+    ${DIAGNOSTICS_JS}
     const sourceTextarea = document.getElementById('source-textarea');
     const cm = CodeMirror(document.getElementById('editor'), {
       lineNumbers: true,
@@ -1957,12 +1799,13 @@ function adminViewHTML(program) {
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ source })
         });
+        const data = await res.json();
+        markDiagnostics(cm, data.diagnostics);
         if (res.ok) {
           showToast('Program saved and recompiled.');
           if (binaryPanel.style.display === 'block') await fetchBinary();
         } else {
-          const err = await res.json();
-          showToast('Error: ' + (err.details || err.error), 'error');
+          showToast('Error: ' + describeDiagnostics(data), 'error');
         }
       } catch (err) {
         showToast('Network error: ' + err.message, 'error');
@@ -1979,13 +1822,24 @@ function adminViewHTML(program) {
 // ==================== DECOMPILE RESULT HTML ====================
 function decompileResultHTML(hexInput) {
   try {
-    const { magic, version, flags, entry, dataSize, codeSize, constants, disassembly } = disassembleBinary(hexInput);
-    
+    const { magic, version, flags, entry, dataSize, codeSize, constants, functions, exceptions, disassembly } = disassembleBinary(hexInput);
+    const address = offset => offset === null ? '' : '0x' + offset.toString(16).padStart(4, '0');
+    const functionName = fn => escapeHtml(fn.name || '<anonymous>');
+    const functionStarts = new Map(functions.map(fn => [fn.offset, fn]));
+
     const disasmHtml = disassembly.map(line => {
       const bytes = line.bytes.padEnd(20);
       const operands = line.operands.map(op => {
         if (op.type === 'const') {
-          return `[${op.value}: ${JSON.stringify(op.resolved?.value)}]`;
+          return `[${op.value}: ${escapeHtml(formatConstant(op.resolved?.value))}]`;
+        } else if (op.type === 'func') {
+          return `[fn ${op.value}: ${op.resolved ? functionName(op.resolved) : '?'}]`;
+        } else if (op.type === 'slot') {
+          return `$${op.value}`;
+        } else if (op.type === 'upvalue') {
+          return `^${op.value}`;
+        } else if (op.type === 'kind') {
+          return (op.resolved || op.value).toString().toLowerCase();
         } else if (op.type === 'offset') {
           return `→0x${op.target.toString(16).padStart(4, '0')}`;
         } else {
@@ -1993,11 +1847,16 @@ function decompileResultHTML(hexInput) {
         }
       }).join(' ');
       
-      return `<div class="disasm-line">
+      const source = line.loc ? `<span class="source-loc">; line ${line.loc.start.line}:${line.loc.start.column}</span>` : '';
+      const fn = functionStarts.get(line.address);
+      const label = fn ? `<div class="disasm-label">${functionName(fn)}:</div>` : '';
+
+      return `${label}<div class="disasm-line">
         <span class="hex-address">0x${line.address.toString(16).padStart(4, '0')}</span>
         <span class="hex-bytes">${bytes}</span>
         <span class="opcode">${line.mnemonic}</span>
         <span class="data"> ${operands}</span>
+        ${source}
       </div>`;
     }).join('');
 
@@ -2019,6 +1878,8 @@ function decompileResultHTML(hexInput) {
     .hex-bytes { color: #7ee787; margin-right: 2rem; }
     .opcode { color: #ff7b72; font-weight: bold; margin-right: 1rem; }
     .data { color: #d2a8ff; }
+    .source-loc { color: #8b949e; margin-left: 1rem; }
+    .disasm-label { font-family: 'JetBrains Mono', monospace; color: #ffa657; padding: 8px 8px 4px; }
     .section-header {
       cursor: pointer;
       user-select: none;
@@ -2069,6 +1930,7 @@ function decompileResultHTML(hexInput) {
         <div class="stat-card"><div class="stat-value">${dataSize}</div><div class="stat-label">Data Bytes</div></div>
         <div class="stat-card"><div class="stat-value">${codeSize}</div><div class="stat-label">Code Bytes</div></div>
         <div class="stat-card"><div class="stat-value">${constants.length}</div><div class="stat-label">Constants</div></div>
+        <div class="stat-card"><div class="stat-value">${functions.length}</div><div class="stat-label">Functions</div></div>
       </div>
 
       <div class="section-header" onclick="toggleSection('constants')">Constants (${constants.length})</div>
@@ -2077,15 +1939,39 @@ function decompileResultHTML(hexInput) {
           <thead><tr><th>Index</th><th>Type</th><th>Value</th></tr></thead>
           <tbody>
             ${constants.map((c, idx) => {
-              const typeMap = {1:'String',2:'Number',3:'Integer',4:'Boolean',5:'Null',6:'BigInt',7:'Array',8:'Object'};
+              const typeMap = {1:'String',2:'Number',3:'Integer',4:'Boolean',5:'Null',6:'BigInt',7:'Array',8:'Object',9:'Undefined',10:'RegExp'};
               const typeName = typeMap[c.type] || 'Unknown';
-              const value = typeof c.value === 'string' ? escapeHtml(c.value) : JSON.stringify(c.value);
+              const value = typeof c.value === 'string' ? escapeHtml(c.value) : escapeHtml(formatConstant(c.value));
               return `<tr><td>${idx}</td><td>${typeName}</td><td>${value}</td></tr>`;
             }).join('')}
           </tbody>
         </table>
       </div>
 
+      <div class="section-header" onclick="toggleSection('functions')">Functions (${functions.length})</div>
+      <div id="functions" class="section-content">
+        <table class="constants-table">
+          <thead><tr><th>Index</th><th>Name</th><th>Entry</th><th>Arity</th><th>Locals</th><th>Upvalues</th><th>Flags</th><th>Suspend points</th></tr></thead>
+          <tbody>
+            ${functions.map((fn, idx) => {
+              const fnFlags = Object.keys(FUNCTION_FLAGS).filter(name => fn.flags & FUNCTION_FLAGS[name]).join(' ').toLowerCase();
+              const suspends = (fn.suspendPoints || []).map(offset => '0x' + offset.toString(16).padStart(4, '0')).join(' ');
+              return `<tr><td>${idx}</td><td>${functionName(fn)}</td><td>0x${fn.offset.toString(16).padStart(4, '0')}</td><td>${fn.arity}</td><td>${fn.localCount}</td><td>${fn.upvalueCount}</td><td>${fnFlags}</td><td>${suspends}</td></tr>`;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+
+      <div class="section-header" onclick="toggleSection('exceptions')">Exception Table (${exceptions.length})</div>
+      <div id="exceptions" class="section-content">
+        <table class="constants-table">
+          <thead><tr><th>Start</th><th>End</th><th>Handler</th><th>Finally</th><th>Binding</th></tr></thead>
+          <tbody>
+            ${exceptions.map(entry => `<tr><td>${address(entry.start)}</td><td>${address(entry.end)}</td><td>${address(entry.handler)}</td><td>${address(entry.finally)}</td><td>${escapeHtml(entry.binding || '')}</td></tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+
       <div class="section-header" onclick="toggleSection('disasm')">Disassembly (${disassembly.length} instructions)</div>
       <div id="disasm" class="section-content">
         <div class="binary-panel" style="max-height: 500px; overflow-y: auto;">
@@ -2163,7 +2049,7 @@ export default {
     if (request.method === 'POST' && path === '/') {
       try {
         const body = await request.json().catch(() => ({}));
-        const { source, type = 'program-bot' } = body;
+        const { source, type = 'program-bot', optimize = 0 } = body;
         if (!source) {
           return new Response(JSON.stringify({ error: 'Missing source' }), {
             status: 400,
@@ -2171,20 +2057,21 @@ export default {
           });
         }
 
-        let binaryBuffer;
-        try {
-          if (type === 'program-bot') {
-            binaryBuffer = compileProgramBot(source);
-          } else if (type === 'network-bots') {
-            binaryBuffer = compileNetworkBots(source);
-          } else {
-            return new Response(JSON.stringify({ error: 'Invalid type' }), {
-              status: 400,
-              headers: { 'Content-Type': 'application/json' },
-            });
-          }
-        } catch (err) {
-          return new Response(JSON.stringify({ error: 'Compilation failed', details: err.message }), {
+        if (type !== 'program-bot' && type !== 'network-bots') {
+          return new Response(JSON.stringify({ error: 'Invalid type' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' },
+          });
+        }
+        if (!OPTIMIZE_LEVELS.includes(optimize)) {
+          return new Response(JSON.stringify({ error: 'Invalid optimize level' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' },
+          });
+        }
+        const { binary: binaryBuffer, diagnostics, optimization } = compile(source, { type, sourceMap: true, optimize });
+        if (!binaryBuffer) {
+          return new Response(JSON.stringify({ error: 'Compilation failed', diagnostics }), {
             status: 400,
             headers: { 'Content-Type': 'application/json' },
           });
@@ -2207,7 +2094,8 @@ export default {
         const publicUrl = `${baseUrl}/${programId}`;
         const adminUrl = `${baseUrl}/admin/${adminToken}`;
 
-        return new Response(JSON.stringify({ publicUrl, adminUrl }), {
+        const bytesSaved = optimization ? optimization.bytesSaved : 0;
+        return new Response(JSON.stringify({ publicUrl, adminUrl, diagnostics, bytesSaved }), {
           headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' },
         });
       } catch (err) {
@@ -2262,11 +2150,9 @@ export default {
             headers: { 'Content-Type': 'application/json' },
           });
         }
-        let binaryBuffer;
-        try {
-          binaryBuffer = compileProgramBot(source);
-        } catch (err) {
-          return new Response(JSON.stringify({ error: 'Compilation failed', details: err.message }), {
+        const { binary: binaryBuffer, diagnostics } = compile(source, { sourceMap: true });
+        if (!binaryBuffer) {
+          return new Response(JSON.stringify({ error: 'Compilation failed', diagnostics }), {
             status: 400,
             headers: { 'Content-Type': 'application/json' },
           });
@@ -2279,7 +2165,7 @@ export default {
             updated_at: new Date().toISOString(),
           }),
         });
-        return new Response(JSON.stringify({ success: true }), {
+        return new Response(JSON.stringify({ success: true, diagnostics }), {
           headers: { 'Content-Type': 'application/json' },
         });
       } catch (err) {
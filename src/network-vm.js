@@ -0,0 +1,169 @@
+import { NET_OP } from './opcodes';
+import { decodeBinary } from './format';
+
+// ==================== NBO2 BLOCK EXECUTOR ====================
+// Runs the binaries produced by compileNetworkBots. Every EXEC_BLOCK
+// instruction names a `{ type, config }` descriptor in the constant pool and
+// is dispatched to the handler registered for that type.
+//
+// A handler is called as `handler(config, context, state)` and may be async.
+// It returns `{ value, branch }`: `value` becomes `context.last`, and
+// `branch` is the condition tested by the BRANCH_ON_RESULT that follows a
+// branching block. `state` is a per-block object that survives between
+// executions of the same block (loop counters, caches).
+//
+// FORK starts one branch per target and the branches run concurrently; a
+// JOIN lets the last arriving branch continue with `context.last` set to the
+// values every branch arrived with.
+
+// Reads `$name` references from context variables; `$last` is the value of
+// the previous block. Anything else is a literal.
+function resolveOperand(operand, context) {
+  if (typeof operand !== 'string' || !operand.startsWith('$')) return operand;
+  const name = operand.slice(1);
+  return name === 'last' ? context.last : context.vars[name];
+}
+
+const BUILTIN_HANDLERS = {
+  // config: { condition, trueTarget, falseTarget }
+  if(config, context) {
+    const condition = 'condition' in config ? config.condition : '$last';
+    return { value: context.last, branch: Boolean(resolveOperand(condition, context)) };
+  },
+
+  // config: { times } or { condition }, plus bodyStart / exitTarget
+  loop(config, context, state) {
+    state.iteration = (state.iteration || 0) + 1;
+    const enter = config.times !== undefined
+      ? state.iteration <= resolveOperand(config.times, context)
+      : Boolean(resolveOperand(config.condition, context));
+    if (!enter) state.iteration = 0;
+    return { value: context.last, branch: enter };
+  }
+};
+
+export function loadNetworkProgram(binary) {
+  const { magic, entry, constants, code } = decodeBinary(binary, 'NBO2');
+  constants.forEach((block, index) => {
+    if (!block || typeof block !== 'object' || typeof block.type !== 'string') {
+      throw new Error(`Constant ${index} is not a block descriptor`);
+    }
+  });
+  return { magic, entry, blocks: constants, code };
+}
+
+export function createNetworkExecutor(options = {}) {
+  const handlers = new Map(Object.entries(BUILTIN_HANDLERS));
+  Object.entries(options.handlers || {}).forEach(([type, handler]) => handlers.set(type, handler));
+  const maxSteps = options.maxSteps ?? 100000;
+
+  function register(type, handler) {
+    if (typeof handler !== 'function') throw new Error(`Handler for block type '${type}' must be a function`);
+    handlers.set(type, handler);
+    return executor;
+  }
+
+  async function run(binary, vars = {}) {
+    const { entry = 0, blocks, code } = binary.code ? binary : loadNetworkProgram(binary);
+    const context = { vars, last: undefined, trace: [] };
+    const blockState = blocks.map(() => ({}));
+    const joins = new Map();
+    let steps = 0;
+
+    // Runs one branch from ip until it halts, forks or is absorbed by a join.
+    async function runBranch(ip, last) {
+      let condition;
+
+      function readU16() {
+        const value = (code[ip] << 8) | code[ip + 1];
+        ip += 2;
+        return value;
+      }
+      function readU32() {
+        const value = ((code[ip] << 24) | (code[ip + 1] << 16) | (code[ip + 2] << 8) | code[ip + 3]) >>> 0;
+        ip += 4;
+        return value;
+      }
+      function readI16() {
+        const value = readU16();
+        return value > 32767 ? value - 65536 : value;
+      }
+      function readI32() {
+        return readU32() | 0;
+      }
+
+      while (true) {
+        if (ip >= code.length) throw new Error(`Execution ran past end of code at 0x${ip.toString(16)}`);
+        if (++steps > maxSteps) throw new Error('Step limit exceeded');
+        const at = ip;
+        const op = code[ip++];
+
+        switch (op) {
+          case NET_OP.EXEC_BLOCK: {
+            const index = readU32();
+            const block = blocks[index];
+            if (!block) throw new Error(`Block descriptor ${index} out of range`);
+            const handler = handlers.get(block.type);
+            if (!handler) throw new Error(`No handler registered for block type '${block.type}'`);
+            context.last = last;
+            const result = (await handler(block.config || {}, context, blockState[index])) || {};
+            last = result.value;
+            condition = result.branch;
+            context.last = last;
+            context.trace.push({ address: at, type: block.type, value: last });
+            break;
+          }
+          case NET_OP.BRANCH_ON_RESULT:
+          case NET_OP.BRANCH_ON_RESULT_W: {
+            const offset = op === NET_OP.BRANCH_ON_RESULT_W ? readI32() : readI16();
+            if (condition === undefined) throw new Error(`Branch at 0x${at.toString(16)} has no condition; block did not return one`);
+            if (!condition) ip += offset;
+            condition = undefined;
+            break;
+          }
+          case NET_OP.JMP:
+          case NET_OP.JMP_W: {
+            const offset = op === NET_OP.JMP_W ? readI32() : readI16();
+            ip += offset;
+            break;
+          }
+          case NET_OP.FORK:
+          case NET_OP.FORK_W: {
+            const count = readU16();
+            const offsets = [];
+            for (let i = 0; i < count; i++) offsets.push(op === NET_OP.FORK_W ? readI32() : readI16());
+            await Promise.all(offsets.map(offset => runBranch(ip + offset, last)));
+            return;
+          }
+          case NET_OP.JOIN: {
+            const expected = readU16();
+            const arrived = joins.get(at) || [];
+            arrived.push(last);
+            if (arrived.length < expected) {
+              joins.set(at, arrived);
+              return;
+            }
+            joins.delete(at);
+            last = arrived;
+            context.last = last;
+            break;
+          }
+          case NET_OP.HALT:
+            return;
+          default:
+            throw new Error(`Unknown NBO2 opcode 0x${op.toString(16).padStart(2, '0')} at 0x${at.toString(16)}`);
+        }
+      }
+    }
+
+    await runBranch(entry, undefined);
+    return context;
+  }
+
+  const executor = { register, run, handlers };
+  return executor;
+}
+
+export function runNetworkBots(binary, options = {}) {
+  return createNetworkExecutor(options).run(binary, options.vars);
+}
@@ -0,0 +1,294 @@
+// ==================== PBO3 OPCODES (PROGRAM-BOTS) ====================
+export const OP = {
+  // Basic stack operations
+  PUSH_CONST:   0x01,
+  POP:          0x02,
+  DUP:          0x03,
+  SWAP:         0x04,
+
+  // Variable operations
+  LOAD_VAR:     0x05,
+  STORE_VAR:    0x06,
+  LOAD_GLOBAL:  0x07,
+  STORE_GLOBAL: 0x08,
+
+  // Arithmetic & logic
+  ADD:          0x09,
+  SUB:          0x0A,
+  MUL:          0x0B,
+  DIV:          0x0C,
+  MOD:          0x0D,
+  EQ:           0x0E,
+  NEQ:          0x0F,
+  LT:           0x10,
+  GT:           0x11,
+  LTE:          0x12,
+  GTE:          0x13,
+  AND:          0x14,    // logical AND
+  OR:           0x15,    // logical OR
+  NOT:          0x16,
+  BIT_AND:      0x17,
+  BIT_OR:       0x18,
+  BIT_XOR:      0x19,
+  BIT_NOT:      0x1A,
+  SHL:          0x1B,
+  SHR:          0x1C,
+  USHR:         0x1D,
+  NEG:          0x1E,
+  POS:          0x1F,
+
+  // Control flow
+  JMP:          0x20,
+  JZ:           0x21,
+  JNZ:          0x22,
+  CALL:         0x23,
+  RETURN:       0x24,
+  ENTER_FUNC:   0x25,
+  EXIT_FUNC:    0x26,
+
+  // Objects & arrays
+  NEW_ARRAY:    0x27,
+  NEW_OBJECT:   0x28,
+  SET_PROP:     0x29,
+  GET_PROP:     0x2A,
+  SET_PROP_COMPUTED: 0x2B,
+  GET_PROP_COMPUTED: 0x2C,
+  DELETE_PROP:  0x2D,
+  HAS_PROP:     0x2E,
+
+  // Type operators
+  TYPEOF:       0x2F,
+
+  // Classes
+  NEW_CLASS:    0x30,
+  DEFINE_METHOD: 0x31,
+  DEFINE_GETTER: 0x32,
+  DEFINE_SETTER: 0x33,
+  INVOKE_SUPER: 0x34,
+  SUPER_CTOR:   0x35,
+  INSTANCEOF:   0x36,
+
+  // Relational & other
+  IN_OP:        0x37,
+  POW:          0x38,
+  COALESCE:     0x39,
+  STRICT_EQ:    0x3A,
+  STRICT_NEQ:   0x3B,
+
+  // Functions
+  MAKE_CLOSURE: 0x3C,    // function table index
+  CALL_SPREAD:  0x3D,    // CALL with the arguments collected in an array
+  NEW_SPREAD:   0x3E,    // NEW_CLASS with the arguments collected in an array
+  SUPER_SPREAD: 0x3F,    // SUPER_CTOR with the arguments collected in an array
+
+  // Modules
+  IMPORT:       0x40,
+  EXPORT:       0x41,
+  IMPORT_DEFAULT: 0x42,
+  EXPORT_DEFAULT: 0x43,
+  IMPORT_DYNAMIC: 0x44,
+
+  // Locals & upvalues
+  LOAD_LOCAL:   0x45,    // frame slot
+  STORE_LOCAL:  0x46,
+  LOAD_UPVALUE: 0x47,    // index into the running closure's upvalues
+  STORE_UPVALUE: 0x48,
+  CAPTURE_LOCAL: 0x49,   // give the new closure an upvalue over a frame slot
+  CAPTURE_UPVALUE: 0x4A, // pass one of the running closure's upvalues on
+  CLOSE_UPVALUE: 0x4B,   // detach a slot's upvalue, keeping its current value
+
+  // Spread
+  ARRAY_PUSH:   0x4C,    // append one value to an array
+  ARRAY_SPREAD: 0x4D,    // append every value of an iterable to an array
+  OBJECT_SPREAD: 0x4E,   // copy own enumerable properties onto an object
+
+  // Tagged templates
+  TEMPLATE_OBJECT: 0x4F, // the strings array of a template call site
+
+  // Async & generators
+  AWAIT:        0x50,
+  ASYNC_FUNC:   0x51,
+  YIELD:        0x52,
+  GENERATOR:    0x53,
+  NEXT:         0x54,
+  THROW_GEN:    0x55,
+  RETURN_GEN:   0x56,
+  YIELD_DELEGATE: 0x57,
+
+  // Iterators
+  GET_ITERATOR: 0x60,
+  ITER_NEXT:    0x61,
+  ITER_DONE:    0x62,
+  GET_ASYNC_ITERATOR: 0x63,
+  ITER_CLOSE:   0x5F,    // call an iterator's return(), if it has one
+
+  // Class members
+  EXTEND_CLASS: 0x64,    // link a class to its parent class
+  DEFINE_FIELD: 0x65,    // define an own enumerable data property
+  DEFINE_COMPUTED: 0x66, // define a member of the given kind under a key from the stack
+  GET_SUPER:    0x67,    // read a property of the home object's prototype
+  PRIVATE_NAME: 0x68,    // create the key of a #private member
+  DEFINE_PRIVATE: 0x69,  // add a #private member of the given kind to an object
+  GET_PRIVATE:  0x6A,
+  SET_PRIVATE:  0x6B,
+  HAS_PRIVATE:  0x6C,
+
+  // Exceptions (handlers are found in the exception table)
+  THROW:        0x70,
+
+  // Wide jumps: JMP, JZ and JNZ with 32-bit offsets
+  JMP_W:        0x71,
+  JZ_W:         0x72,
+  JNZ_W:        0x73,
+
+  // Web/DOM interaction
+  GET_ELEMENT:  0x80,
+  SET_ATTRIBUTE: 0x81,
+  GET_ATTRIBUTE: 0x82,
+  ADD_EVENT:    0x83,
+  REMOVE_EVENT: 0x84,
+  FETCH:        0x85,
+  WEBSOCKET:    0x86,
+  TIMER:        0x87,
+  DOM_QUERY:    0x88,
+
+  // FFI
+  CALL_HOST:    0x90,
+  GET_HOST:     0x91,
+  SET_HOST:     0x92,
+
+  // Debug
+  DEBUGGER:     0xF0,
+
+  // Halt
+  HALT:         0xFF,
+};
+
+// ==================== NBO2 OPCODES (NETWORK-BOTS) ====================
+// Network-bots binaries have their own instruction set: control flow between
+// blocks only, the work itself happens in the block handlers.
+export const NET_OP = {
+  EXEC_BLOCK:       0x01,  // run the block descriptor at a constant index
+  BRANCH_ON_RESULT: 0x02,  // jump when the last block's branch condition is false
+  JMP:              0x03,
+  FORK:             0x04,  // start one branch per target, ending the current one
+  JOIN:             0x05,  // wait until the given number of branches arrive
+
+  // Wide forms of the jumps, with 32-bit offsets
+  BRANCH_ON_RESULT_W: 0x06,
+  JMP_W:              0x07,
+  FORK_W:             0x08,
+
+  HALT:             0xFF,
+};
+
+// Member kinds of DEFINE_COMPUTED and DEFINE_PRIVATE. Class accessors are
+// not enumerable, object literal ones are.
+export const MEMBER_KIND = {
+  FIELD:  0,
+  METHOD: 1,
+  GETTER: 2,
+  SETTER: 3,
+  PROPERTY_GETTER: 4,
+  PROPERTY_SETTER: 5,
+};
+
+// ==================== OPERAND LAYOUTS ====================
+// Operands of each instruction, in encoding order (all big-endian):
+//   const    u32 constant-pool index
+//   func     u32 function table index
+//   slot     u16 frame slot
+//   upvalue  u16 upvalue index
+//   count    u32 count (arguments, elements)
+//   count16  u16 count
+//   kind     u8 member kind (MEMBER_KIND)
+//   offset   i16 jump offset relative to the end of the instruction
+//   offsets  u16 count followed by that many i16 offsets, all relative to
+//            the end of the instruction
+//   offset32, offsets32  the same with i32 offsets
+export const OPERANDS = {
+  [OP.PUSH_CONST]: ['const'],
+  [OP.LOAD_VAR]: ['const'],
+  [OP.STORE_VAR]: ['const'],
+  [OP.LOAD_GLOBAL]: ['const'],
+  [OP.STORE_GLOBAL]: ['const'],
+  [OP.GET_PROP]: ['const'],
+  [OP.SET_PROP]: ['const'],
+  [OP.DEFINE_METHOD]: ['const'],
+  [OP.TEMPLATE_OBJECT]: ['const'],
+  [OP.DEFINE_GETTER]: ['const'],
+  [OP.DEFINE_SETTER]: ['const'],
+  [OP.DEFINE_FIELD]: ['const'],
+  [OP.GET_SUPER]: ['const'],
+  [OP.PRIVATE_NAME]: ['const'],
+  [OP.DEFINE_COMPUTED]: ['kind'],
+  [OP.DEFINE_PRIVATE]: ['kind'],
+  [OP.IMPORT]: ['const'],
+  [OP.IMPORT_DEFAULT]: ['const'],
+  [OP.EXPORT]: ['const'],
+  [OP.GET_HOST]: ['const'],
+  [OP.SET_HOST]: ['const'],
+  [OP.MAKE_CLOSURE]: ['func'],
+  [OP.LOAD_LOCAL]: ['slot'],
+  [OP.STORE_LOCAL]: ['slot'],
+  [OP.CAPTURE_LOCAL]: ['slot'],
+  [OP.CLOSE_UPVALUE]: ['slot'],
+  [OP.LOAD_UPVALUE]: ['upvalue'],
+  [OP.STORE_UPVALUE]: ['upvalue'],
+  [OP.CAPTURE_UPVALUE]: ['upvalue'],
+  [OP.JMP]: ['offset'],
+  [OP.JZ]: ['offset'],
+  [OP.JNZ]: ['offset'],
+  [OP.JMP_W]: ['offset32'],
+  [OP.JZ_W]: ['offset32'],
+  [OP.JNZ_W]: ['offset32'],
+  [OP.CALL]: ['count'],
+  [OP.NEW_ARRAY]: ['count'],
+  [OP.NEW_CLASS]: ['count'],
+  [OP.SUPER_CTOR]: ['count'],
+  [OP.CALL_HOST]: ['const', 'count'],
+  [OP.INVOKE_SUPER]: ['const', 'count'],
+};
+
+// Wide form of each jump instruction, for targets out of i16 range
+export const WIDE_JUMPS = {
+  [OP.JMP]: OP.JMP_W,
+  [OP.JZ]: OP.JZ_W,
+  [OP.JNZ]: OP.JNZ_W,
+};
+
+export const NET_OPERANDS = {
+  [NET_OP.EXEC_BLOCK]: ['const'],
+  [NET_OP.BRANCH_ON_RESULT]: ['offset'],
+  [NET_OP.JMP]: ['offset'],
+  [NET_OP.FORK]: ['offsets'],
+  [NET_OP.BRANCH_ON_RESULT_W]: ['offset32'],
+  [NET_OP.JMP_W]: ['offset32'],
+  [NET_OP.FORK_W]: ['offsets32'],
+  [NET_OP.JOIN]: ['count16'],
+};
+
+export const NET_WIDE_JUMPS = {
+  [NET_OP.BRANCH_ON_RESULT]: NET_OP.BRANCH_ON_RESULT_W,
+  [NET_OP.JMP]: NET_OP.JMP_W,
+  [NET_OP.FORK]: NET_OP.FORK_W,
+};
+
+// Reverse mappings
+export const OP_NAME = Object.fromEntries(
+  Object.entries(OP).map(([name, code]) => [code, name])
+);
+
+export const NET_OP_NAME = Object.fromEntries(
+  Object.entries(NET_OP).map(([name, code]) => [code, name])
+);
+
+export const MEMBER_KIND_NAME = Object.fromEntries(
+  Object.entries(MEMBER_KIND).map(([name, code]) => [code, name])
+);
+
+// Instruction set of a binary, selected by its magic.
+export function instructionSet(magic) {
+  if (magic === 'NBO2') return { names: NET_OP_NAME, operands: NET_OPERANDS, wideJumps: NET_WIDE_JUMPS };
+  return { names: OP_NAME, operands: OPERANDS, wideJumps: WIDE_JUMPS };
+}
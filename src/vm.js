@@ -0,0 +1,1165 @@
+import { OP, MEMBER_KIND } from './opcodes';
+import { decodeBinary, findSourceLocation, FUNCTION_FLAGS } from './format';
+import { DEFAULT_GLOBALS } from './globals';
+
+// ==================== PBO3 VIRTUAL MACHINE ====================
+// Stack-based interpreter for the binaries produced by compileProgramBot.
+//
+// Operand encoding follows generateBytecode: constant indices and counts are
+// u32 big-endian, frame slots and upvalue indices are u16, jump offsets are
+// signed 16-bit (32-bit for the _W forms) and relative to the first byte
+// after the jump instruction.
+//
+// Stack effects (top of stack on the right):
+//   STORE_VAR name          value --
+//   LOAD_LOCAL slot         -- value
+//   STORE_LOCAL slot        value --
+//   LOAD_UPVALUE index      -- value
+//   STORE_UPVALUE index     value --
+//   CAPTURE_LOCAL slot      closure -- closure
+//   CAPTURE_UPVALUE index   closure -- closure
+//   SET_PROP name           obj value -- value
+//   SET_PROP_COMPUTED       obj key value -- value
+//   GET_PROP name           obj -- value
+//   GET_PROP_COMPUTED       obj key -- value
+//   JZ / JNZ (JZ_W / JNZ_W) cond --
+//   MAKE_CLOSURE func       -- closure
+//   CALL argc               callee arg1 ... argN -- result
+//   NEW_CLASS argc          callee arg1 ... argN -- instance
+//   CALL_SPREAD             callee args -- result
+//   NEW_SPREAD              callee args -- instance
+//   SUPER_CTOR argc         parent arg1 ... argN -- this
+//   SUPER_SPREAD            parent args -- this
+//   EXTEND_CLASS            ctor parent -- ctor
+//   DEFINE_METHOD name      target fn -- target  (also DEFINE_GETTER/SETTER)
+//   DEFINE_FIELD name       target value -- target
+//   DEFINE_COMPUTED kind    target key value -- target
+//   GET_SUPER name          this home -- value
+//   INVOKE_SUPER name argc  this home arg1 ... argN -- result
+//   PRIVATE_NAME desc       -- name
+//   DEFINE_PRIVATE kind     target value name -- target
+//   GET_PRIVATE             obj name -- value
+//   SET_PRIVATE             obj name value -- value
+//   HAS_PRIVATE             obj name -- bool
+//   ARRAY_PUSH              array value -- array
+//   ARRAY_SPREAD            array iterable -- array
+//   OBJECT_SPREAD           obj source -- obj
+//   TEMPLATE_OBJECT site    -- strings
+//   CALL_HOST name argc     arg1 ... argN -- result
+//   GET_ITERATOR            iterable -- iterator
+//   GET_ASYNC_ITERATOR      iterable -- iterator
+//   ITER_NEXT               iterator -- result
+//   ITER_DONE               result -- result done
+//   ITER_CLOSE              iterator -- result  (undefined without return())
+//   AWAIT                   value -- settled value
+//   YIELD                   value -- sent value
+//   YIELD_DELEGATE          iterable -- return value
+//
+// Functions fetched with GET_PROP remember their receiver, so a following
+// CALL invokes them as methods (`arr.push(x)` binds `this` to `arr`).
+//
+// Calling a closure starts its function table entry in a new frame with
+// `localCount` empty slots. The arguments are on the stack, first one on top,
+// padded with undefined (or cut) to the function's arity. A function with a
+// rest parameter gets the remaining arguments as an array below them.
+//
+// An upvalue points at a slot of the frame that declared the variable while
+// that slot is live, so every closure sharing it sees the same value.
+// CLOSE_UPVALUE (and returning from the frame) copies the value into the
+// upvalue itself, which is what lets each loop iteration keep its own.
+//
+// Each evaluation of a class creates a fresh PRIVATE_NAME per #member; the
+// name records, per object, the field value or the method and accessors.
+// `super` lookups start at the prototype of the home object, the class
+// prototype for instance members, the class itself for static ones and the
+// object itself for object literal methods.
+//
+// Async functions and generators run in a fiber of their own, which stops
+// at the suspend points the function table records for them and keeps its
+// frame and stack until it is resumed. A generator function runs up to its
+// GENERATOR instruction, having bound its parameters, and then returns a
+// generator object; each next(), throw() or return() resumes the frame with
+// the sent value on the stack. AWAIT resumes the same way once the awaited
+// value settles, a rejection being thrown at the AWAIT.
+//
+// A thrown value goes to the innermost exception table entry around the
+// instruction that raised it, in its frame or the nearest caller frame of
+// the same fiber, and otherwise leaves the VM. A generator closed by
+// return() runs the finally handlers around its suspend point on the way
+// out. VMErrors are faults of the VM or the binary and are never caught.
+//
+// TEMPLATE_OBJECT names a `{ cooked, raw }` constant, one per tagged
+// template in the source. The first evaluation turns it into a frozen array
+// of the cooked strings with a frozen `raw` array, later ones reuse it.
+
+export class VMError extends Error {
+  constructor(message, ip) {
+    super(ip === undefined ? message : `${message} (at 0x${ip.toString(16).padStart(4, '0')})`);
+    this.name = 'VMError';
+    this.ip = ip;
+  }
+}
+
+// Carries a generator's return() value through its finally handlers; each
+// handler ends by throwing it on.
+class ForcedReturn {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+function createDefaultGlobals() {
+  const globals = {};
+  DEFAULT_GLOBALS.forEach(name => {
+    if (name in globalThis) globals[name] = globalThis[name];
+  });
+  return globals;
+}
+
+// ==================== BINARY LOADER ====================
+export function loadProgram(binary) {
+  const { magic, entry, constants, code, functions, exceptions, sourceMap } = decodeBinary(binary, 'PBO3');
+  return { magic, entry, constants, code, functions: functions || [], exceptions: exceptions || [], sourceMap };
+}
+
+// ==================== INTERPRETER ====================
+export function createVM(binary, options = {}) {
+  const program = binary.code ? binary : loadProgram(binary);
+  const { constants, code, functions } = program;
+  const exceptionTable = program.exceptions || [];
+  const globals = options.globals || createDefaultGlobals();
+  const modules = options.modules || {};
+  const exports = {};
+  const maxSteps = options.maxSteps ?? Infinity;
+  let steps = 0;
+  const templates = new Map();
+
+  function newScope(parent) {
+    return { vars: new Map(), parent };
+  }
+
+  function findScope(scope, name) {
+    for (let s = scope; s; s = s.parent) {
+      if (s.vars.has(name)) return s;
+    }
+    return null;
+  }
+
+  function loadVar(scope, name) {
+    const owner = findScope(scope, name);
+    if (owner) return owner.vars.get(name);
+    if (name in globals) return globals[name];
+    throw new ReferenceError(`${name} is not defined`);
+  }
+
+  // Assigns the nearest existing binding, otherwise declares it in the
+  // innermost scope of the running frame.
+  function storeVar(scope, name, value) {
+    const owner = findScope(scope, name) || scope;
+    owner.vars.set(name, value);
+  }
+
+  function newFrame(ip, scope, thisValue, stackBase, localCount = 0, upvalues = []) {
+    return {
+      ip,
+      at: ip,
+      scope,
+      locals: new Array(localCount).fill(undefined),
+      upvalues,
+      openUpvalues: new Map(),
+      thisValue,
+      stackBase,
+      isAsync: false,
+      isGenerator: false,
+      isConstruct: false,
+      newTarget: undefined,
+      fn: null,
+      // how the fiber was last resumed: 'next', 'throw' or 'return'
+      resumeMode: 'next',
+      delegate: null
+    };
+  }
+
+  // The innermost exception table entry around `at`, only counting those
+  // with a finally handler unless `catching`.
+  function findHandler(at, catching) {
+    return exceptionTable.find(entry => at >= entry.start && at < entry.end && (catching || entry.finally !== null));
+  }
+
+  function isObject(value) {
+    return (typeof value === 'object' && value !== null) || typeof value === 'function';
+  }
+
+  function templateObject(site) {
+    if (templates.has(site)) return templates.get(site);
+    const strings = site.cooked.slice();
+    Object.defineProperty(strings, 'raw', { value: Object.freeze(site.raw.slice()) });
+    templates.set(site, Object.freeze(strings));
+    return strings;
+  }
+
+  // for await: an iterable without Symbol.asyncIterator is iterated
+  // synchronously, each result settling before the loop sees it.
+  function getAsyncIterator(iterable) {
+    if (iterable != null && typeof iterable[Symbol.asyncIterator] === 'function') {
+      return iterable[Symbol.asyncIterator]();
+    }
+    const iterator = getIterator(iterable);
+    const settle = result => Promise.resolve(result.value).then(value => ({ value, done: result.done }));
+    return {
+      next: value => settle(iterator.next(value)),
+      return: value => (iterator.return ? settle(iterator.return(value)) : Promise.resolve({ value, done: true }))
+    };
+  }
+
+  function getIterator(iterable) {
+    if (iterable == null) throw new TypeError(`${iterable} is not iterable`);
+    const method = iterable[Symbol.iterator] || iterable[Symbol.asyncIterator];
+    if (typeof method !== 'function') throw new TypeError('object is not iterable');
+    return method.call(iterable);
+  }
+
+  function callHost(fn, receiver, args, what) {
+    if (typeof fn !== 'function') throw new TypeError(`${what} is not a function`);
+    return fn.apply(receiver, args);
+  }
+
+  function readUpvalue(upvalue) {
+    return upvalue.closed ? upvalue.value : upvalue.locals[upvalue.slot];
+  }
+
+  function writeUpvalue(upvalue, value) {
+    if (upvalue.closed) upvalue.value = value;
+    else upvalue.locals[upvalue.slot] = value;
+  }
+
+  function captureLocal(frame, slot) {
+    let upvalue = frame.openUpvalues.get(slot);
+    if (!upvalue) {
+      upvalue = { locals: frame.locals, slot, closed: false, value: undefined };
+      frame.openUpvalues.set(slot, upvalue);
+    }
+    return upvalue;
+  }
+
+  function closeUpvalue(frame, slot) {
+    const upvalue = frame.openUpvalues.get(slot);
+    if (!upvalue) return;
+    upvalue.value = frame.locals[slot];
+    upvalue.closed = true;
+    frame.openUpvalues.delete(slot);
+  }
+
+  // Data, method and accessor members as class bodies define them.
+  function defineMember(target, key, kind, value) {
+    const getter = kind === MEMBER_KIND.GETTER || kind === MEMBER_KIND.PROPERTY_GETTER;
+    const enumerable = kind === MEMBER_KIND.FIELD || kind === MEMBER_KIND.PROPERTY_GETTER || kind === MEMBER_KIND.PROPERTY_SETTER;
+    const descriptor = kind === MEMBER_KIND.FIELD || kind === MEMBER_KIND.METHOD
+      ? { value, writable: true }
+      : { [getter ? 'get' : 'set']: value };
+    Object.defineProperty(target, key, { ...descriptor, enumerable, configurable: true });
+  }
+
+  function privateMember(name, obj, action) {
+    const member = isObject(obj) ? name.members.get(obj) : undefined;
+    if (!member) throw new TypeError(`Cannot ${action} private member ${name.description} from an object whose class did not declare it`);
+    return member;
+  }
+
+  function definePrivate(target, name, kind, value) {
+    const existing = name.members.get(target);
+    const accessor = kind === MEMBER_KIND.GETTER || kind === MEMBER_KIND.SETTER;
+    if (existing && !(accessor && existing.accessor)) {
+      throw new TypeError(`Cannot initialize ${name.description} twice on the same object`);
+    }
+    const member = existing || { accessor, writable: kind === MEMBER_KIND.FIELD };
+    if (kind === MEMBER_KIND.GETTER) member.get = value;
+    else if (kind === MEMBER_KIND.SETTER) member.set = value;
+    else member.value = value;
+    name.members.set(target, member);
+  }
+
+  function readPrivate(obj, name) {
+    const member = privateMember(name, obj, 'read');
+    if (!member.accessor) return member.value;
+    if (!member.get) throw new TypeError(`'${name.description}' was defined without a getter`);
+    return member.get.call(obj);
+  }
+
+  function writePrivate(obj, name, value) {
+    const member = privateMember(name, obj, 'write');
+    if (member.accessor) {
+      if (!member.set) throw new TypeError(`'${name.description}' was defined without a setter`);
+      member.set.call(obj, value);
+    } else if (member.writable) {
+      member.value = value;
+    } else {
+      throw new TypeError(`Private method ${name.description} is not writable`);
+    }
+  }
+
+  // Closures are real functions so host code (callbacks, event handlers) can
+  // call them. Each one maps back to its function table entry, its captured
+  // scope and upvalues and, for arrows, the captured `this`.
+  const closures = new WeakMap();
+
+  function makeClosure(fn, scope, thisValue) {
+    const info = { fn, scope, upvalues: [], thisValue };
+    const closure = fn.flags & FUNCTION_FLAGS.ARROW
+      ? (...args) => invokeClosure(info, info.thisValue, args)
+      : function (...args) {
+        return invokeClosure(info, new.target ? Object.create(new.target.prototype) : this, args, new.target);
+      };
+    Object.defineProperty(closure, 'name', { value: fn.name });
+    Object.defineProperty(closure, 'length', { value: fn.arity });
+    closures.set(closure, info);
+    return closure;
+  }
+
+  // Plain functions run in the caller's fiber; async functions get a fiber of
+  // their own so their caller receives a promise.
+  function runsInline(info) {
+    return !(info.fn.flags & (FUNCTION_FLAGS.ASYNC | FUNCTION_FLAGS.GENERATOR));
+  }
+
+  function closureFrame(info, thisValue, stackBase, newTarget) {
+    const frame = newFrame(info.fn.offset, info.scope, thisValue, stackBase, info.fn.localCount, info.upvalues);
+    frame.fn = info.fn;
+    frame.isAsync = Boolean(info.fn.flags & FUNCTION_FLAGS.ASYNC);
+    frame.isGenerator = Boolean(info.fn.flags & FUNCTION_FLAGS.GENERATOR);
+    frame.isConstruct = newTarget !== undefined;
+    frame.newTarget = newTarget;
+    return frame;
+  }
+
+  function pushArguments(fiber, fn, args) {
+    if (fn.flags & FUNCTION_FLAGS.REST) {
+      fiber.stack.push(args.slice(fn.arity));
+      fiber.receivers.push(undefined);
+    }
+    for (let i = fn.arity - 1; i >= 0; i--) {
+      fiber.stack.push(args[i]);
+      fiber.receivers.push(undefined);
+    }
+  }
+
+  // Entry point for calls made from outside the VM.
+  function invokeClosure(info, thisValue, args, newTarget) {
+    const fiber = { stack: [], receivers: [], frames: [closureFrame(info, thisValue, 0, newTarget)] };
+    pushArguments(fiber, info.fn, args);
+    if (info.fn.flags & FUNCTION_FLAGS.GENERATOR) {
+      const signal = resume(fiber);
+      if (signal.type !== 'start') throw new VMError(`Generator ${info.fn.name || '<anonymous>'} did not reach its GENERATOR instruction`);
+      return info.fn.flags & FUNCTION_FLAGS.ASYNC ? asyncGenerator(fiber) : generator(fiber);
+    }
+    if (info.fn.flags & FUNCTION_FLAGS.ASYNC) return drive(fiber).then(signal => signal.value);
+    const signal = resume(fiber);
+    if (signal.type !== 'return') throw new VMError('AWAIT outside of an async function');
+    return signal.value;
+  }
+
+  // Resumes the suspended frame of a fiber with `value` as the result of
+  // the instruction it stopped at.
+  function send(fiber, mode, value) {
+    fiber.frames[fiber.frames.length - 1].resumeMode = mode;
+    fiber.stack.push(value);
+    fiber.receivers.push(undefined);
+  }
+
+  // Generator objects. A generator that has not started yet, or has
+  // finished, completes throw() and return() without running.
+  function generator(fiber) {
+    let state = 'suspendedStart';
+    function step(mode, value) {
+      if (state === 'running') throw new TypeError('Generator is already running');
+      if (state === 'suspendedStart' && mode !== 'next') state = 'completed';
+      if (state === 'completed') {
+        if (mode === 'throw') throw value;
+        return { value: mode === 'return' ? value : undefined, done: true };
+      }
+      if (state === 'suspendedYield') send(fiber, mode, value);
+      state = 'running';
+      let signal;
+      try {
+        signal = resume(fiber);
+      } catch (err) {
+        state = 'completed';
+        throw err;
+      }
+      if (signal.type === 'yield') {
+        state = 'suspendedYield';
+        return { value: signal.value, done: false };
+      }
+      state = 'completed';
+      return { value: signal.value, done: true };
+    }
+    return {
+      next: value => step('next', value),
+      throw: error => step('throw', error),
+      return: value => step('return', value),
+      [Symbol.iterator]() { return this; },
+      [Symbol.toStringTag]: 'Generator'
+    };
+  }
+
+  // Async generator objects queue their requests, each one settling after
+  // the frame yields or returns.
+  function asyncGenerator(fiber) {
+    let state = 'suspendedStart';
+    let queue = Promise.resolve();
+    async function step(mode, value) {
+      if (state === 'suspendedStart' && mode !== 'next') state = 'completed';
+      if (state === 'completed') {
+        if (mode === 'throw') throw value;
+        return { value: mode === 'return' ? await value : undefined, done: true };
+      }
+      if (state === 'suspendedYield') send(fiber, mode, value);
+      state = 'running';
+      let signal;
+      try {
+        signal = await drive(fiber);
+      } catch (err) {
+        state = 'completed';
+        throw err;
+      }
+      if (signal.type === 'yield') {
+        state = 'suspendedYield';
+        return { value: signal.value, done: false };
+      }
+      state = 'completed';
+      return { value: signal.value, done: true };
+    }
+    function request(mode, value) {
+      const result = queue.then(() => step(mode, value));
+      queue = result.catch(() => {});
+      return result;
+    }
+    return {
+      next: value => request('next', value),
+      throw: error => request('throw', error),
+      return: value => request('return', value),
+      [Symbol.asyncIterator]() { return this; },
+      [Symbol.toStringTag]: 'AsyncGenerator'
+    };
+  }
+
+  // Runs a fiber until its entry frame returns or it suspends. Returns a
+  // signal: { type: 'return' | 'await' | 'yield' | 'start', value }.
+  function runFiber(fiber) {
+    const { stack, receivers, frames } = fiber;
+    let frame = frames[frames.length - 1];
+
+    function push(value, receiver) {
+      stack.push(value);
+      receivers.push(receiver);
+    }
+    function pop() {
+      if (stack.length <= frame.stackBase) throw new VMError('Stack underflow', frame.ip);
+      receivers.pop();
+      return stack.pop();
+    }
+    function peek() {
+      if (stack.length <= frame.stackBase) throw new VMError('Stack underflow', frame.ip);
+      return stack[stack.length - 1];
+    }
+    // The arguments were pushed in source order, the last one on top
+    function popArgs(count) {
+      const args = new Array(count);
+      for (let i = count - 1; i >= 0; i--) args[i] = pop();
+      return args;
+    }
+    function readU16() {
+      const value = (code[frame.ip] << 8) | code[frame.ip + 1];
+      frame.ip += 2;
+      return value;
+    }
+    function readU32() {
+      const value = ((code[frame.ip] << 24) | (code[frame.ip + 1] << 16) | (code[frame.ip + 2] << 8) | code[frame.ip + 3]) >>> 0;
+      frame.ip += 4;
+      return value;
+    }
+    function readI16() {
+      const value = readU16();
+      return value > 32767 ? value - 65536 : value;
+    }
+    function readI32() {
+      return readU32() | 0;
+    }
+    function readUpvalueIndex() {
+      const index = readU16();
+      if (index >= frame.upvalues.length) throw new VMError(`Upvalue index ${index} out of range`, frame.ip - 3);
+      return index;
+    }
+    function readConst() {
+      const idx = readU32();
+      if (idx >= constants.length) throw new VMError(`Constant index ${idx} out of range`, frame.ip - 5);
+      return constants[idx];
+    }
+    function binary(fn) {
+      const right = pop();
+      const left = pop();
+      push(fn(left, right));
+    }
+    function enterClosure(info, thisValue, args, newTarget) {
+      frame = closureFrame(info, thisValue, stack.length, newTarget);
+      frames.push(frame);
+      pushArguments(fiber, info.fn, args);
+    }
+    function call(callee, receiver, args) {
+      const info = closures.get(callee);
+      if (info && runsInline(info)) {
+        const thisValue = info.fn.flags & FUNCTION_FLAGS.ARROW ? info.thisValue : receiver;
+        enterClosure(info, thisValue, args);
+        return;
+      }
+      push(callHost(callee, receiver, args, 'callee'));
+    }
+    function construct(ctor, args) {
+      const info = closures.get(ctor);
+      if (info && runsInline(info) && !(info.fn.flags & FUNCTION_FLAGS.ARROW)) {
+        enterClosure(info, Object.create(ctor.prototype), args, ctor);
+        return;
+      }
+      if (typeof ctor !== 'function') throw new TypeError('callee is not a constructor');
+      push(Reflect.construct(ctor, args));
+    }
+    function superConstruct(parent, args) {
+      if (typeof parent !== 'function') throw new TypeError('Super constructor is not a constructor');
+      frame.thisValue = Reflect.construct(parent, args, frame.newTarget || parent);
+      push(frame.thisValue);
+    }
+    function returnFrom(value) {
+      frame.openUpvalues.forEach((upvalue, slot) => closeUpvalue(frame, slot));
+      frames.pop();
+      stack.length = frame.stackBase;
+      receivers.length = frame.stackBase;
+      if (frame.isConstruct && !isObject(value)) value = frame.thisValue;
+      if (frames.length === 0) return { type: 'return', value };
+      frame = frames[frames.length - 1];
+      push(value);
+      return null;
+    }
+    function checkSuspendPoint(at) {
+      if (frame.fn && !frame.fn.suspendPoints.includes(at)) {
+        throw new VMError(`No suspend point recorded here for function ${frame.fn.name || '<anonymous>'}`, at);
+      }
+    }
+    // Steps the iterator of a yield* with what the generator was resumed
+    // with. An iterator without throw() is closed before the error.
+    function delegateStep(iterator, mode, value) {
+      if (mode === 'next') return iterator.next(value);
+      const method = iterator[mode];
+      if (typeof method === 'function') return method.call(iterator, value);
+      if (mode === 'return') return { value, done: true };
+      if (typeof iterator.return === 'function') iterator.return();
+      throw new TypeError('The iterator does not provide a \'throw\' method');
+    }
+
+    // Returns from the frame by way of the finally handlers around the
+    // current instruction.
+    function forceReturn(value) {
+      const entry = findHandler(frame.at, false);
+      if (!entry) return returnFrom(value);
+      stack.length = frame.stackBase;
+      receivers.length = frame.stackBase;
+      frame.ip = entry.finally;
+      push(new ForcedReturn(value));
+      return null;
+    }
+
+    // A frame resumed by throw() or return() completes that way at its
+    // suspend point; yield* passes both on to its iterator instead.
+    if (frame.resumeMode !== 'next' && !frame.delegate) {
+      const mode = frame.resumeMode;
+      frame.resumeMode = 'next';
+      if (mode === 'throw') throw pop();
+      const done = forceReturn(pop());
+      if (done) return done;
+    }
+
+    while (true) {
+      if (frame.ip >= code.length) throw new VMError('Execution ran past end of code', frame.ip);
+      if (++steps > maxSteps) throw new VMError('Step limit exceeded', frame.ip);
+      const at = frame.ip;
+      frame.at = at;
+      const op = code[frame.ip++];
+
+      switch (op) {
+        // Stack
+        case OP.PUSH_CONST: {
+          // regex literals evaluate to a fresh object each time
+          const value = readConst();
+          push(value instanceof RegExp ? new RegExp(value) : value);
+          break;
+        }
+        case OP.POP: pop(); break;
+        case OP.DUP: {
+          const receiver = receivers[receivers.length - 1];
+          push(peek(), receiver);
+          break;
+        }
+        case OP.SWAP: {
+          const b = pop();
+          const a = pop();
+          push(b);
+          push(a);
+          break;
+        }
+
+        // Variables
+        case OP.LOAD_VAR: {
+          const name = readConst();
+          push(name === 'this' ? frame.thisValue : loadVar(frame.scope, name));
+          break;
+        }
+        case OP.STORE_VAR: storeVar(frame.scope, readConst(), pop()); break;
+        case OP.LOAD_GLOBAL: {
+          const name = readConst();
+          if (!(name in globals)) throw new ReferenceError(`${name} is not defined`);
+          push(globals[name]);
+          break;
+        }
+        case OP.STORE_GLOBAL: globals[readConst()] = pop(); break;
+        case OP.LOAD_LOCAL: push(frame.locals[readU16()]); break;
+        case OP.STORE_LOCAL: frame.locals[readU16()] = pop(); break;
+        case OP.LOAD_UPVALUE: push(readUpvalue(frame.upvalues[readUpvalueIndex()])); break;
+        case OP.STORE_UPVALUE: writeUpvalue(frame.upvalues[readUpvalueIndex()], pop()); break;
+        case OP.CAPTURE_LOCAL: {
+          const slot = readU16();
+          const info = closures.get(peek());
+          if (!info) throw new VMError('CAPTURE_LOCAL target is not a closure', at);
+          info.upvalues.push(captureLocal(frame, slot));
+          break;
+        }
+        case OP.CAPTURE_UPVALUE: {
+          const upvalue = frame.upvalues[readUpvalueIndex()];
+          const info = closures.get(peek());
+          if (!info) throw new VMError('CAPTURE_UPVALUE target is not a closure', at);
+          info.upvalues.push(upvalue);
+          break;
+        }
+        case OP.CLOSE_UPVALUE: closeUpvalue(frame, readU16()); break;
+
+        // Arithmetic & logic
+        case OP.ADD: binary((a, b) => a + b); break;
+        case OP.SUB: binary((a, b) => a - b); break;
+        case OP.MUL: binary((a, b) => a * b); break;
+        case OP.DIV: binary((a, b) => a / b); break;
+        case OP.MOD: binary((a, b) => a % b); break;
+        case OP.POW: binary((a, b) => a ** b); break;
+        case OP.EQ: binary((a, b) => a == b); break;
+        case OP.NEQ: binary((a, b) => a != b); break;
+        case OP.STRICT_EQ: binary((a, b) => a === b); break;
+        case OP.STRICT_NEQ: binary((a, b) => a !== b); break;
+        case OP.LT: binary((a, b) => a < b); break;
+        case OP.GT: binary((a, b) => a > b); break;
+        case OP.LTE: binary((a, b) => a <= b); break;
+        case OP.GTE: binary((a, b) => a >= b); break;
+        case OP.AND: binary((a, b) => a && b); break;
+        case OP.OR: binary((a, b) => a || b); break;
+        case OP.COALESCE: binary((a, b) => a ?? b); break;
+        case OP.BIT_AND: binary((a, b) => a & b); break;
+        case OP.BIT_OR: binary((a, b) => a | b); break;
+        case OP.BIT_XOR: binary((a, b) => a ^ b); break;
+        case OP.SHL: binary((a, b) => a << b); break;
+        case OP.SHR: binary((a, b) => a >> b); break;
+        case OP.USHR: binary((a, b) => a >>> b); break;
+        case OP.IN_OP: binary((key, obj) => {
+          if (!isObject(obj)) throw new TypeError(`Cannot use 'in' operator to search for '${String(key)}' in ${obj}`);
+          return key in obj;
+        }); break;
+        case OP.INSTANCEOF: binary((value, ctor) => {
+          if (typeof ctor !== 'function') throw new TypeError('Right-hand side of instanceof is not callable');
+          return value instanceof ctor;
+        }); break;
+        case OP.NOT: push(!pop()); break;
+        case OP.BIT_NOT: push(~pop()); break;
+        case OP.NEG: push(-pop()); break;
+        case OP.POS: push(+pop()); break;
+        case OP.TYPEOF: push(typeof pop()); break;
+
+        // Control flow
+        case OP.JMP: {
+          const offset = readI16();
+          frame.ip += offset;
+          break;
+        }
+        case OP.JZ: {
+          const offset = readI16();
+          if (!pop()) frame.ip += offset;
+          break;
+        }
+        case OP.JNZ: {
+          const offset = readI16();
+          if (pop()) frame.ip += offset;
+          break;
+        }
+        case OP.JMP_W: {
+          const offset = readI32();
+          frame.ip += offset;
+          break;
+        }
+        case OP.JZ_W: {
+          const offset = readI32();
+          if (!pop()) frame.ip += offset;
+          break;
+        }
+        case OP.JNZ_W: {
+          const offset = readI32();
+          if (pop()) frame.ip += offset;
+          break;
+        }
+        case OP.MAKE_CLOSURE: {
+          const index = readU32();
+          const fn = functions[index];
+          if (!fn) throw new VMError(`Function index ${index} out of range`, at);
+          push(makeClosure(fn, frame.scope, frame.thisValue));
+          break;
+        }
+        case OP.CALL: {
+          const args = popArgs(readU32());
+          const receiver = receivers[receivers.length - 1];
+          const callee = pop();
+          call(callee, receiver, args);
+          break;
+        }
+        case OP.CALL_SPREAD: {
+          const args = pop();
+          const receiver = receivers[receivers.length - 1];
+          const callee = pop();
+          call(callee, receiver, args);
+          break;
+        }
+        case OP.CALL_HOST: {
+          const name = readConst();
+          const argc = readU32();
+          if (!(name in globals)) throw new ReferenceError(`${name} is not defined`);
+          push(callHost(globals[name], undefined, popArgs(argc), name));
+          break;
+        }
+        case OP.RETURN: {
+          const signal = returnFrom(pop());
+          if (signal) return signal;
+          break;
+        }
+        case OP.EXIT_FUNC: {
+          const signal = returnFrom(undefined);
+          if (signal) return signal;
+          break;
+        }
+        case OP.ENTER_FUNC:
+          frame.scope = newScope(frame.scope);
+          break;
+        case OP.ASYNC_FUNC: frame.isAsync = true; break;
+        case OP.GENERATOR:
+          if (!frame.isGenerator) throw new VMError('GENERATOR outside of a generator function', at);
+          checkSuspendPoint(at);
+          return { type: 'start' };
+        case OP.HALT:
+          return { type: 'return', value: undefined };
+
+        // Objects & arrays
+        case OP.NEW_ARRAY: {
+          const count = readU32();
+          const elements = new Array(count);
+          for (let i = count - 1; i >= 0; i--) elements[i] = pop();
+          push(elements);
+          break;
+        }
+        case OP.NEW_OBJECT: push({}); break;
+        case OP.ARRAY_PUSH: {
+          const value = pop();
+          peek().push(value);
+          break;
+        }
+        case OP.ARRAY_SPREAD: {
+          const iterable = pop();
+          peek().push(...iterable);
+          break;
+        }
+        case OP.OBJECT_SPREAD: {
+          const source = pop();
+          if (source != null) Object.assign(peek(), source);
+          break;
+        }
+        case OP.TEMPLATE_OBJECT:
+          push(templateObject(readConst()));
+          break;
+        case OP.SET_PROP: {
+          const key = readConst();
+          const value = pop();
+          pop()[key] = value;
+          push(value);
+          break;
+        }
+        case OP.SET_PROP_COMPUTED: {
+          const value = pop();
+          const key = pop();
+          pop()[key] = value;
+          push(value);
+          break;
+        }
+        case OP.GET_PROP: {
+          const key = readConst();
+          const obj = pop();
+          if (obj == null) throw new TypeError(`Cannot read properties of ${obj} (reading '${key}')`);
+          push(obj[key], obj);
+          break;
+        }
+        case OP.GET_PROP_COMPUTED: {
+          const key = pop();
+          const obj = pop();
+          if (obj == null) throw new TypeError(`Cannot read properties of ${obj} (reading '${String(key)}')`);
+          push(obj[key], obj);
+          break;
+        }
+        case OP.DELETE_PROP: {
+          const key = pop();
+          push(delete pop()[key]);
+          break;
+        }
+        case OP.HAS_PROP: {
+          const key = pop();
+          push(Object.prototype.hasOwnProperty.call(pop(), key));
+          break;
+        }
+
+        // Classes
+        case OP.NEW_CLASS: {
+          const args = popArgs(readU32());
+          construct(pop(), args);
+          break;
+        }
+        case OP.NEW_SPREAD: {
+          const args = pop();
+          construct(pop(), args);
+          break;
+        }
+        case OP.DEFINE_METHOD:
+        case OP.DEFINE_GETTER:
+        case OP.DEFINE_SETTER:
+        case OP.DEFINE_FIELD: {
+          const key = readConst();
+          const value = pop();
+          const kind = op === OP.DEFINE_METHOD ? MEMBER_KIND.METHOD
+            : op === OP.DEFINE_GETTER ? MEMBER_KIND.GETTER
+              : op === OP.DEFINE_SETTER ? MEMBER_KIND.SETTER : MEMBER_KIND.FIELD;
+          defineMember(peek(), key, kind, value);
+          break;
+        }
+        case OP.DEFINE_COMPUTED: {
+          const kind = code[frame.ip++];
+          const value = pop();
+          const key = pop();
+          defineMember(peek(), key, kind, value);
+          break;
+        }
+        case OP.EXTEND_CLASS: {
+          const parent = pop();
+          const ctor = peek();
+          if (parent === null) {
+            Object.setPrototypeOf(ctor.prototype, null);
+          } else if (typeof parent === 'function' && isObject(parent.prototype)) {
+            Object.setPrototypeOf(ctor, parent);
+            Object.setPrototypeOf(ctor.prototype, parent.prototype);
+          } else {
+            throw new TypeError(`Class extends value ${String(parent)} is not a constructor or null`);
+          }
+          break;
+        }
+        case OP.SUPER_CTOR: {
+          const args = popArgs(readU32());
+          superConstruct(pop(), args);
+          break;
+        }
+        case OP.SUPER_SPREAD: {
+          const args = pop();
+          superConstruct(pop(), args);
+          break;
+        }
+        case OP.GET_SUPER: {
+          const key = readConst();
+          const proto = Object.getPrototypeOf(pop());
+          const receiver = pop();
+          push(proto === null ? undefined : Reflect.get(proto, key, receiver), receiver);
+          break;
+        }
+        case OP.PRIVATE_NAME: push({ description: readConst(), members: new WeakMap() }); break;
+        case OP.DEFINE_PRIVATE: {
+          const kind = code[frame.ip++];
+          const name = pop();
+          const value = pop();
+          definePrivate(peek(), name, kind, value);
+          break;
+        }
+        case OP.GET_PRIVATE: {
+          const name = pop();
+          const obj = pop();
+          push(readPrivate(obj, name), obj);
+          break;
+        }
+        case OP.SET_PRIVATE: {
+          const value = pop();
+          const name = pop();
+          writePrivate(pop(), name, value);
+          push(value);
+          break;
+        }
+        case OP.HAS_PRIVATE: {
+          const name = pop();
+          const obj = pop();
+          if (!isObject(obj)) throw new TypeError(`Cannot use 'in' operator to search for '${name.description}' in ${obj}`);
+          push(name.members.has(obj));
+          break;
+        }
+        case OP.INVOKE_SUPER: {
+          const key = readConst();
+          const args = popArgs(readU32());
+          const proto = Object.getPrototypeOf(pop());
+          const receiver = pop();
+          const method = proto === null ? undefined : Reflect.get(proto, key, receiver);
+          if (typeof method !== 'function') throw new TypeError(`super.${key} is not a function`);
+          call(method, receiver, args);
+          break;
+        }
+
+        // Modules
+        case OP.IMPORT:
+        case OP.IMPORT_DEFAULT: {
+          const source = readConst();
+          if (!(source in modules)) throw new Error(`Cannot find module '${source}'`);
+          push(op === OP.IMPORT ? modules[source] : modules[source].default);
+          break;
+        }
+        case OP.IMPORT_DYNAMIC: {
+          const source = pop();
+          push(options.importModule
+            ? options.importModule(source)
+            : (source in modules ? Promise.resolve(modules[source]) : Promise.reject(new Error(`Cannot find module '${source}'`))));
+          break;
+        }
+        case OP.EXPORT: exports[readConst()] = pop(); break;
+        case OP.EXPORT_DEFAULT: exports.default = pop(); break;
+
+        // Async & generators
+        case OP.AWAIT:
+          if (!frame.isAsync && frame.fn) throw new VMError('AWAIT outside of an async function', at);
+          checkSuspendPoint(at);
+          return { type: 'await', value: pop() };
+        case OP.YIELD:
+          if (!frame.isGenerator) throw new VMError('YIELD outside of a generator', at);
+          checkSuspendPoint(at);
+          return { type: 'yield', value: pop() };
+        case OP.YIELD_DELEGATE: {
+          // Re-executed after each resumption, with the sent value on the
+          // stack, until the inner iterator is done. In an async generator
+          // every step of the iterator is awaited first.
+          if (!frame.isGenerator) throw new VMError('YIELD_DELEGATE outside of a generator', at);
+          checkSuspendPoint(at);
+          const mode = frame.resumeMode;
+          frame.resumeMode = 'next';
+          if (!frame.delegate) {
+            frame.delegate = { iterator: (frame.isAsync ? getAsyncIterator : getIterator)(pop()), mode, awaiting: false };
+            push(undefined);
+          }
+          const delegate = frame.delegate;
+          let result = pop();
+          if (delegate.awaiting) {
+            delegate.awaiting = false;
+            if (mode === 'throw') {
+              frame.delegate = null;
+              throw result;
+            }
+          } else {
+            delegate.mode = mode;
+            result = delegateStep(delegate.iterator, mode, result);
+            if (frame.isAsync) {
+              delegate.awaiting = true;
+              frame.ip = at;
+              return { type: 'await', value: result };
+            }
+          }
+          if (!isObject(result)) throw new TypeError(`Iterator result ${String(result)} is not an object`);
+          if (!result.done) {
+            frame.ip = at;
+            return { type: 'yield', value: result.value };
+          }
+          frame.delegate = null;
+          if (delegate.mode === 'return') {
+            const done = forceReturn(result.value);
+            if (done) return done;
+          } else {
+            push(result.value);
+          }
+          break;
+        }
+        case OP.NEXT: {
+          const value = pop();
+          push(pop().next(value));
+          break;
+        }
+        case OP.THROW_GEN: {
+          const error = pop();
+          push(pop().throw(error));
+          break;
+        }
+        case OP.RETURN_GEN: {
+          const value = pop();
+          push(pop().return(value));
+          break;
+        }
+
+        // Iterators
+        case OP.GET_ITERATOR: push(getIterator(pop())); break;
+        case OP.GET_ASYNC_ITERATOR: push(getAsyncIterator(pop())); break;
+        case OP.ITER_NEXT: push(pop().next()); break;
+        case OP.ITER_DONE: push(Boolean(peek().done)); break;
+        case OP.ITER_CLOSE: {
+          const iterator = pop();
+          const method = iterator.return;
+          if (method === undefined || method === null) push(undefined);
+          else call(method, iterator, []);
+          break;
+        }
+
+        // Exceptions
+        case OP.THROW: {
+          const value = pop();
+          if (!(value instanceof ForcedReturn)) throw value;
+          const done = forceReturn(value.value);
+          if (done) return done;
+          break;
+        }
+
+        // Web/DOM interaction
+        case OP.GET_ELEMENT: push(globals.document.getElementById(pop())); break;
+        case OP.DOM_QUERY: push(globals.document.querySelector(pop())); break;
+        case OP.SET_ATTRIBUTE: {
+          // element name value -- value
+          const value = pop();
+          const name = pop();
+          pop().setAttribute(name, value);
+          push(value);
+          break;
+        }
+        case OP.GET_ATTRIBUTE: {
+          const name = pop();
+          push(pop().getAttribute(name));
+          break;
+        }
+        case OP.ADD_EVENT:
+        case OP.REMOVE_EVENT: {
+          // element type handler -- undefined
+          const handler = pop();
+          const type = pop();
+          const target = pop();
+          if (op === OP.ADD_EVENT) target.addEventListener(type, handler);
+          else target.removeEventListener(type, handler);
+          push(undefined);
+          break;
+        }
+        case OP.FETCH: push(callHost(globals.fetch, undefined, [pop()], 'fetch')); break;
+        case OP.WEBSOCKET: push(new globals.WebSocket(pop())); break;
+        case OP.TIMER: {
+          // callback delay -- id
+          const delay = pop();
+          push(callHost(globals.setTimeout, undefined, [pop(), delay], 'setTimeout'));
+          break;
+        }
+
+        // FFI
+        case OP.GET_HOST: {
+          const name = readConst();
+          push(globals[name]);
+          break;
+        }
+        case OP.SET_HOST: globals[readConst()] = pop(); break;
+
+        case OP.DEBUGGER:
+          if (options.onDebugger) options.onDebugger({ ip: at, loc: findSourceLocation(program.sourceMap, at), stack: stack.slice(), locals: frame.locals.slice(), scope: frame.scope });
+          break;
+
+        default:
+          throw new VMError(`Unknown opcode 0x${op.toString(16).padStart(2, '0')}`, at);
+      }
+    }
+  }
+
+  // Records where each active frame was when `err` escaped: `err.vmStack`
+  // lists { ip, loc } innermost first, `loc` coming from the binary's source
+  // map when it has one. VM faults also name the source position.
+  function attachStackTrace(err, fiber) {
+    if (!isObject(err) || err.vmStack) return err;
+    const trace = fiber.frames.slice().reverse().map(f => ({ ip: f.at, loc: findSourceLocation(program.sourceMap, f.at) }));
+    try {
+      err.vmStack = trace;
+      const loc = trace.length ? trace[0].loc : null;
+      if (loc && err instanceof VMError) {
+        err.loc = loc;
+        err.message += ` at line ${loc.start.line}, column ${loc.start.column}`;
+      }
+    } catch (e) {
+      // frozen or exotic thrown values keep their original shape
+    }
+    return err;
+  }
+
+  // Continues the fiber at the handler for `err`, dropping the frames above
+  // the one that has it. Returns false, leaving the fiber as it was, when
+  // none of its frames does.
+  function catchException(fiber, err) {
+    if (err instanceof VMError) return false;
+    const { frames, stack, receivers } = fiber;
+    for (let i = frames.length - 1; i >= 0; i--) {
+      const entry = findHandler(frames[i].at, true);
+      if (!entry) continue;
+      frames.splice(i + 1).forEach(dropped => {
+        dropped.openUpvalues.forEach((upvalue, slot) => closeUpvalue(dropped, slot));
+      });
+      const frame = frames[i];
+      stack.length = frame.stackBase;
+      receivers.length = frame.stackBase;
+      frame.delegate = null;
+      frame.resumeMode = 'next';
+      frame.ip = entry.handler ?? entry.finally;
+      stack.push(err);
+      receivers.push(undefined);
+      return true;
+    }
+    return false;
+  }
+
+  function resume(fiber) {
+    while (true) {
+      try {
+        return runFiber(fiber);
+      } catch (err) {
+        if (!catchException(fiber, err)) throw attachStackTrace(err, fiber);
+      }
+    }
+  }
+
+  // Runs a fiber until it returns or yields, settling AWAIT suspensions.
+  async function drive(fiber) {
+    while (true) {
+      const signal = resume(fiber);
+      if (signal.type !== 'await') return signal;
+      try {
+        send(fiber, 'next', await signal.value);
+      } catch (err) {
+        send(fiber, 'throw', err);
+      }
+    }
+  }
+
+  async function run() {
+    const signal = await drive({ stack: [], receivers: [], frames: [newFrame(program.entry || 0, newScope(null), undefined, 0)] });
+    return signal.value;
+  }
+
+  return { run, globals, exports };
+}
+
+export function runProgramBot(binary, options = {}) {
+  return createVM(binary, options).run();
+}
@@ -0,0 +1,283 @@
+import { describe, it, expect } from 'vitest';
+import { compile } from '../src/compiler';
+import { disassembleBinary } from '../src/disassembler';
+import { runLogged } from './helpers';
+
+function errorsOf(source) {
+  return compile(source).diagnostics.filter(d => d.severity === 'error');
+}
+
+function mnemonicsOf(source) {
+  const { binary, diagnostics } = compile(source);
+  expect(diagnostics.filter(d => d.severity === 'error')).toEqual([]);
+  return disassembleBinary(binary).disassembly.map(line => line.mnemonic);
+}
+
+describe('keyword-led expressions', () => {
+  it('parses new with and without arguments', async () => {
+    const source = `
+      class Calculator { constructor(a = 1) { this.a = a } add(b) { return this.a + b } }
+      console.log(new Calculator(2).add(3), new Calculator().a, new Calculator instanceof Calculator)
+    `;
+    expect(mnemonicsOf(source)).toContain('NEW_CLASS');
+    expect(await runLogged(source)).toEqual(['5 1 true']);
+  });
+
+  it('parses function expressions, named and anonymous', async () => {
+    const source = `
+      const f = function() { return 'anon' }
+      const fact = function self(n) { return n <= 1 ? 1 : n * self(n - 1) }
+      console.log(f(), fact(5), (function() { return typeof this })())
+    `;
+    expect(mnemonicsOf(source).filter(m => m === 'MAKE_CLOSURE')).toHaveLength(3);
+    expect(await runLogged(source)).toEqual(['anon 120 undefined']);
+  });
+
+  it('parses class expressions', async () => {
+    const source = `
+      const Point = class { constructor(x) { this.x = x } }
+      const Named = class Inner { static id() { return Inner.name } }
+      console.log(new Point(4).x, Named.id(), (class { static v = 9 }).v)
+    `;
+    expect(await runLogged(source)).toEqual(['4 Inner 9']);
+  });
+
+  it('parses import() as an expression', async () => {
+    const source = `
+      const pending = import('lib')
+      const m = await pending
+      console.log(m.value, (await import('li' + 'b')).value)
+    `;
+    expect(mnemonicsOf(source)).toContain('IMPORT_DYNAMIC');
+    expect(await runLogged(source, { modules: { lib: { value: 'imported' } } })).toEqual(['imported imported']);
+  });
+
+  it('parses yield as an expression in generators', async () => {
+    const source = `
+      function* g() { const x = yield 1; yield x * 2; yield; yield* [7, 8] }
+      const it = g()
+      console.log(it.next().value, it.next(21).value, it.next().value, [...it].join(','))
+    `;
+    expect(mnemonicsOf(source)).toEqual(expect.arrayContaining(['YIELD', 'YIELD_DELEGATE']));
+    expect(await runLogged(source)).toEqual(['1 42 undefined 7,8']);
+  });
+
+  it('parses await as an expression in async functions', async () => {
+    const source = `
+      async function f() { const v = await Promise.resolve(5); return v + await 1 }
+      const g = async () => (await f()) * 2
+      console.log(await f(), await g())
+    `;
+    expect(mnemonicsOf(source)).toContain('AWAIT');
+    expect(await runLogged(source)).toEqual(['6 12']);
+  });
+});
+
+describe('wide jumps', () => {
+  // jumps, with their targets, and the addresses of every instruction
+  function jumpsOf(binary) {
+    const { disassembly } = disassembleBinary(binary);
+    const addresses = new Set(disassembly.map(line => line.address));
+    const jumps = disassembly
+      .filter(line => line.operands.some(op => op.type === 'offset'))
+      .map(line => ({ mnemonic: line.mnemonic, address: line.address, target: line.operands[0].target }));
+    return { jumps, addresses };
+  }
+
+  it('widens jumps over more than 32 KB of code and runs the result', async () => {
+    const body = Array.from({ length: 3000 }, () => 'n = n + 1').join('\n');
+    const source = `let n = 0, flag = true\nif (flag) {\n${body}\n}\nfor (let i = 0; i < 2; i++) {\n${body}\n}\nconsole.log(n)`;
+    const { binary } = compile(source);
+    const { jumps, addresses } = jumpsOf(binary);
+    const wide = jumps.filter(jump => jump.mnemonic.endsWith('_W'));
+    expect(wide.map(jump => jump.mnemonic)).toEqual(expect.arrayContaining(['JZ_W', 'JMP_W']));
+    wide.forEach(jump => {
+      expect(Math.abs(jump.target - jump.address)).toBeGreaterThan(0x7FFF);
+      expect(addresses.has(jump.target)).toBe(true);
+    });
+    // the short jumps that stay are still in range
+    jumps.filter(jump => !jump.mnemonic.endsWith('_W')).forEach(jump => {
+      expect(Math.abs(jump.target - jump.address)).toBeLessThan(0x8000);
+    });
+    expect(await runLogged(source)).toEqual(['9000']);
+  });
+});
+
+describe('regex literals', () => {
+  it('scans a regex after a statement head or a block', async () => {
+    expect(await runLogged(`
+      const s = 'abc', ok = true
+      if (ok) /b/.test(s) && console.log('if')
+      for (const c of [s]) /c/.test(c) && console.log('for')
+      { } /a/.test(s) && console.log('block')
+      function f() { return 1 }
+      /z/.test(s) || console.log('function')
+    `)).toEqual(['if', 'for', 'block', 'function']);
+  });
+
+  it('scans a division after an operand that ends in a bracket', async () => {
+    expect(await runLogged(`
+      const a = 8, o = { v: 4 }
+      function f(x) { return x }
+      console.log((a) / 2 / 2, [a][0] / 4, f(a) / o.v, { v: a }.v / 8, \`\${ { v: 6 }.v / 3 }\`)
+    `)).toEqual(['2 2 2 1 2']);
+  });
+});
+
+describe('diagnostics', () => {
+  it('reports a BigInt literal outside 64 bits at the literal', () => {
+    const [error, ...rest] = errorsOf('let a = 1\nlet b = 9223372036854775808n');
+    expect(rest).toEqual([]);
+    expect(error.code).toBe('E4001');
+    expect(error.message).toMatch(/9223372036854775808n does not fit in 64 bits/);
+    expect(error.range).toEqual({ start: { line: 2, column: 9 }, end: { line: 2, column: 29 } });
+  });
+
+  it('accepts the 64-bit BigInt limits', () => {
+    expect(errorsOf('let a = 9223372036854775807n, b = -9223372036854775808n')).toEqual([]);
+  });
+
+  it('reports super outside methods', () => {
+    ['const o = { x: super.y }', 'const o = { f: function () { return super.x } }', 'const o = { m() { super() } }'].forEach(source => {
+      expect(errorsOf(source).map(e => e.code)).toEqual(['E2004']);
+    });
+  });
+
+  it('reports literals that can not be assigned to', () => {
+    ['let a, b; [a, b] += 1', 'let a; [a]++', '[1] = []', '({ m() {} } = {})', 'let a; const o = { a = 1 }'].forEach(source => {
+      expect(errorsOf(source).map(e => e.code)).toEqual(['E2004']);
+    });
+  });
+
+  it('reports a var that names a let of the same scope', () => {
+    expect(errorsOf('let q = 1\nvar q = 2').map(e => e.code)).toEqual(['E3002']);
+    expect(errorsOf('function f(x) { let x }').map(e => e.code)).toEqual(['E3002']);
+  });
+
+  it('reports a function with more local slots than a frame can address', () => {
+    const names = Array.from({ length: 0x10000 }, (_, i) => `v${i}`);
+    const [error, ...rest] = errorsOf(`function big() {\n  let ${names.join(', ')}\n}`);
+    expect(rest).toEqual([]);
+    expect(error.code).toBe('E4001');
+    expect(error.message).toBe("Function 'big' needs 65536 local slots, more than the 65535 a frame can address");
+    expect(error.range.start).toEqual({ line: 1, column: 1 });
+    expect(errorsOf(`function big() {\n  let ${names.slice(1).join(', ')}\n}`)).toEqual([]);
+  });
+});
+
+describe('optimize option', () => {
+  const source = 'let x = 1\nif (x) { x = 2 } else { x = 3 }\nconsole.log(x)';
+
+  it('accepts the levels 0 to 2', () => {
+    expect(compile(source).optimization).toBeNull();
+    [1, 2].forEach(level => {
+      const { binary, optimization } = compile(source, { optimize: level });
+      expect(binary).not.toBeNull();
+      expect(optimization.level).toBe(level);
+      expect(optimization.bytesSaved).toBe(optimization.codeSize - optimization.optimizedSize);
+    });
+  });
+
+  it('reports any other level as a diagnostic', () => {
+    [3, -1, '2', 1.5, null, true].forEach(optimize => {
+      const { binary, diagnostics, optimization } = compile(source, { optimize });
+      expect(binary).toBeNull();
+      expect(optimization).toBeNull();
+      expect(diagnostics).toHaveLength(1);
+      expect(diagnostics[0].code).toBe('E6001');
+      expect(diagnostics[0].message).toMatch(/Invalid optimize level/);
+    });
+  });
+
+  const programs = {
+    'a value pushed and popped': `
+      'unused'
+      let n = 2 * 3
+      n
+      console.log(n)
+    `,
+    'a jump to a jump': `
+      let n = 0
+      for (let i = 0; i < 4; i++) {
+        if (i % 2) { n += 1 } else { n += 10; continue }
+      }
+      console.log(n)
+    `,
+    'code after a return': `
+      function f(x) {
+        if (x) { return 'yes'; console.log('dead') } else { return 'no' }
+        console.log('dead too')
+      }
+      console.log(f(1), f(0))
+    `,
+    'constant operands': `
+      const label = 'v' + 1
+      let t = 0
+      if (1 < 2) t = 2 ** 10
+      try { console.log(1n / 0n) } catch (e) { console.log(e.constructor.name) }
+      console.log(label, t, typeof null, 1 + t, -t)
+    `
+  };
+
+  Object.entries(programs).forEach(([name, program]) => {
+    it(`shrinks and keeps the behavior of ${name}`, async () => {
+      const expected = await runLogged(program);
+      expect(expected.length).toBeGreaterThan(0);
+      for (const level of [1, 2]) {
+        expect(compile(program, { optimize: level }).optimization.bytesSaved).toBeGreaterThan(0);
+        expect(await runLogged(program, { optimize: level })).toEqual(expected);
+      }
+    });
+  });
+
+  it('keeps the behavior of generators, exceptions and closures', async () => {
+    const program = `
+      function* g() { try { yield 1; yield 2 } finally { console.log('closed') } }
+      for (const v of g()) { if (v) break }
+      const fs = []
+      for (let i = 0; i < 3; i++) fs.push(() => i)
+      outer: for (const a of [1, 2]) { for (const b of [1, 2]) { if (b === 2) continue outer; console.log(a, b) } }
+      try { try { throw new Error('inner') } finally { console.log('finally') } } catch (e) { console.log(e.message) }
+      class A { #n = 1; get n() { return this.#n } }
+      const [x, ...rest] = ['x', 'y', 'z']
+      console.log(fs.map(f => f()).join(), new A().n, x, rest.join(''))
+    `;
+    const expected = await runLogged(program);
+    expect(expected).toEqual(['closed', '1 1', '2 1', 'finally', 'inner', '0,1,2 1 x yz']);
+    expect(await runLogged(program, { optimize: 1 })).toEqual(expected);
+    expect(await runLogged(program, { optimize: 2 })).toEqual(expected);
+  });
+});
+
+describe('constant folding', () => {
+  it('folds operators on literals and propagates literal consts', () => {
+    const mnemonics = mnemonicsOf('const N = 2 * 3\nconsole.log(N + 1, -N, `n=${N}`)');
+    ['MUL', 'ADD', 'NEG'].forEach(op => expect(mnemonics).not.toContain(op));
+  });
+
+  it('leaves operators that throw to throw at runtime', async () => {
+    expect(errorsOf('function f() { return 1n / 0n }')).toEqual([]);
+    expect(errorsOf('const big = 2n ** 64n')).toEqual([]);
+    expect(await runLogged(`
+      try { 1n + 1 } catch (e) { console.log(e.constructor.name) }
+      try { +1n } catch (e) { console.log(e.constructor.name) }
+      console.log(2n ** 64n > 0n)
+    `)).toEqual(['TypeError', 'TypeError', 'true']);
+  });
+
+  it('does not propagate a const into a function that may run before it', async () => {
+    const source = 'const X = 1\nfunction f() { console.log(X) }\nf()';
+    expect(mnemonicsOf(`f()\n${source}`)).toContain('LOAD_UPVALUE');
+    expect(await runLogged(source)).toEqual(['1']);
+    expect(await runLogged('const Y = 2\nconst g = () => Y + 1\nconsole.log(g(), Y)')).toEqual(['3 2']);
+  });
+
+  it('propagates only consts bound to the whole literal', async () => {
+    expect(await runLogged(`
+      const { length } = 'abc'
+      const [first] = 'xyz'
+      const [head, ...tail] = 'abc'
+      console.log(length, first, head, tail.join(''))
+    `)).toEqual(['3 x a bc']);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { encodeBinary, decodeBinary, CONST_TYPE, HEADER_SIZE } from '../src/format';
+import { compileProgramBot } from '../src/compiler';
+import { disassembleBinary } from '../src/disassembler';
+
+function roundTrip(constants) {
+  return decodeBinary(encodeBinary({ magic: 'PBO3', code: [0x00], constants }));
+}
+
+describe('constant pool round trip', () => {
+  const cases = [
+    ['string', 'héllo\nwörld', CONST_TYPE.STRING],
+    ['empty string', '', CONST_TYPE.STRING],
+    ['f64', 3.25, CONST_TYPE.NUMBER],
+    ['i32', -123456, CONST_TYPE.INTEGER],
+    ['number beyond i32', 2 ** 40, CONST_TYPE.NUMBER],
+    ['bool', true, CONST_TYPE.BOOLEAN],
+    ['null', null, CONST_TYPE.NULL],
+    ['undefined', undefined, CONST_TYPE.UNDEFINED],
+    ['bigint', -(2n ** 63n), CONST_TYPE.BIGINT],
+    ['nested array', [1, 'two', [null, [false]]], CONST_TYPE.ARRAY],
+    ['nested object', { a: 1, b: { c: ['d', undefined], e: 2.5 } }, CONST_TYPE.OBJECT]
+  ];
+
+  cases.forEach(([name, value, type]) => {
+    it(`keeps ${name}`, () => {
+      const { constants, constantTypes } = roundTrip([value]);
+      expect(constants).toEqual([value]);
+      expect(constantTypes).toEqual([type]);
+    });
+  });
+
+  it('keeps regex source and flags', () => {
+    const [regex] = roundTrip([/a+\/b/giu]).constants;
+    expect(regex).toBeInstanceOf(RegExp);
+    expect(regex.source).toBe('a+\\/b');
+    expect(regex.flags).toBe('giu');
+  });
+
+  it('keeps -0 apart from 0', () => {
+    const { constants, constantTypes } = roundTrip([-0, 0]);
+    expect(Object.is(constants[0], -0)).toBe(true);
+    expect(Object.is(constants[1], 0)).toBe(true);
+    expect(constantTypes).toEqual([CONST_TYPE.NUMBER, CONST_TYPE.INTEGER]);
+  });
+
+  it('keeps NaN', () => {
+    const { constants } = roundTrip([NaN]);
+    expect(constants[0]).toBeNaN();
+  });
+
+  it('rejects a bigint outside 64 bits', () => {
+    expect(() => roundTrip([2n ** 63n])).toThrow(/does not fit in 64 bits/);
+  });
+
+  it('decodes the header it encodes', () => {
+    const binary = encodeBinary({ magic: 'NBO2', code: [0x01, 0x02], constants: ['x'], entry: 1 });
+    const decoded = decodeBinary(binary, 'NBO2');
+    expect(decoded.magic).toBe('NBO2');
+    expect(decoded.entry).toBe(1);
+    expect(decoded.codeSize).toBe(2);
+    expect(Array.from(decoded.code)).toEqual([0x01, 0x02]);
+    expect(binary.length).toBe(HEADER_SIZE + decoded.dataSize + 2);
+  });
+
+  it('rejects a binary of the wrong kind', () => {
+    const binary = encodeBinary({ magic: 'NBO2', code: [0x01], constants: [] });
+    expect(() => decodeBinary(binary, 'PBO3')).toThrow(/Expected PBO3 binary/);
+  });
+});
+
+describe('compile then disassemble', () => {
+  it('shows every literal type in the constant pool', () => {
+    const binary = compileProgramBot(`
+      const values = ['text', 2.5, 7, true, null, undefined, 12n, /x+/g, -0, 0 / 0]
+      String.raw\`a\${values}b\`
+    `);
+    const { magic, constants } = disassembleBinary(binary);
+    expect(magic).toBe('PBO3');
+    const find = predicate => constants.find(c => predicate(c.value));
+    expect(find(v => v === 'text').type).toBe(CONST_TYPE.STRING);
+    expect(find(v => v === 2.5).type).toBe(CONST_TYPE.NUMBER);
+    expect(find(v => v === 7).type).toBe(CONST_TYPE.INTEGER);
+    expect(find(v => v === true).type).toBe(CONST_TYPE.BOOLEAN);
+    expect(find(v => v === null).type).toBe(CONST_TYPE.NULL);
+    expect(find(v => v === undefined).type).toBe(CONST_TYPE.UNDEFINED);
+    expect(find(v => v === 12n).type).toBe(CONST_TYPE.BIGINT);
+    expect(String(find(v => v instanceof RegExp).value)).toBe('/x+/g');
+    expect(find(v => Object.is(v, -0)).type).toBe(CONST_TYPE.NUMBER);
+    expect(find(v => Number.isNaN(v)).type).toBe(CONST_TYPE.NUMBER);
+    // the strings of a tagged template are an object holding arrays
+    expect(find(v => v && v.raw).value).toEqual({ cooked: ['a', 'b'], raw: ['a', 'b'] });
+  });
+});
@@ -0,0 +1,18 @@
+import { vi } from 'vitest';
+import { compileProgramBot } from '../src/compiler';
+import { runProgramBot } from '../src/vm';
+
+// Runs a program and returns what it logged, one string per console.log.
+// `options` go to both the compiler and the VM.
+export async function runLogged(source, options = {}) {
+  const lines = [];
+  const log = vi.spyOn(console, 'log').mockImplementation((...args) => {
+    lines.push(args.map(String).join(' '));
+  });
+  try {
+    await runProgramBot(compileProgramBot(source, options), options);
+  } finally {
+    log.mockRestore();
+  }
+  return lines;
+}
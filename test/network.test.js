@@ -0,0 +1,194 @@
+import { describe, it, expect } from 'vitest';
+import { compileNetworkBots } from '../src/compiler';
+import { runNetworkBots } from '../src/network-vm';
+import { disassembleBinary } from '../src/disassembler';
+
+function compileGraph(blocks, connections) {
+  return compileNetworkBots(JSON.stringify({ blocks, connections }));
+}
+
+// Mnemonics with their jump targets or other operand values
+function listing(binary) {
+  return disassembleBinary(binary).disassembly.map(line => {
+    const operands = line.operands.map(op => (op.type === 'offset' ? `@${op.target}` : op.value));
+    return [line.mnemonic, ...operands].join(' ');
+  });
+}
+
+const handlers = {
+  emit: config => ({ value: config.value }),
+  inc: (config, context) => {
+    context.vars.n = (context.vars.n || 0) + 1;
+    return { value: context.vars.n };
+  },
+  slow: async config => {
+    await new Promise(resolve => setTimeout(resolve, config.delay));
+    return { value: config.value };
+  }
+};
+
+const traceOf = context => context.trace.map(step => `${step.type}:${JSON.stringify(step.value)}`);
+
+describe('NBO2 graphs', () => {
+  it('compiles a straight line and disassembles the header and constants', () => {
+    const binary = compileGraph(
+      [
+        { id: 'a', type: 'emit', config: { value: 1 } },
+        { id: 'b', type: 'emit', config: { value: 2 } }
+      ],
+      [{ from: 'a', to: 'b' }]
+    );
+    const result = disassembleBinary(binary);
+    expect(result.magic).toBe('NBO2');
+    expect(result.entry).toBe(0);
+    expect(result.constants.map(c => c.value)).toEqual([
+      { type: 'emit', config: { value: 1 } },
+      { type: 'emit', config: { value: 2 } }
+    ]);
+    expect(listing(binary)).toEqual(['EXEC_BLOCK 0', 'EXEC_BLOCK 1', 'HALT']);
+  });
+
+  it('branches on the result of an if block', async () => {
+    const blocks = [
+      { id: 'start', type: 'emit', config: { value: 'start' } },
+      { id: 'check', type: 'if', config: { condition: '$flag', trueTarget: 'yes', falseTarget: 'no' } },
+      { id: 'yes', type: 'emit', config: { value: 'yes' } },
+      { id: 'no', type: 'emit', config: { value: 'no' } }
+    ];
+    const connections = [
+      { from: 'start', to: 'check' },
+      { from: 'check', to: 'yes' },
+      { from: 'check', to: 'no' }
+    ];
+    const binary = compileGraph(blocks, connections);
+    expect(listing(binary)).toEqual([
+      'EXEC_BLOCK 0',
+      'EXEC_BLOCK 1',
+      'BRANCH_ON_RESULT @19',
+      'EXEC_BLOCK 2',
+      'HALT',
+      'EXEC_BLOCK 3',
+      'HALT'
+    ]);
+
+    const taken = await runNetworkBots(binary, { handlers, vars: { flag: true } });
+    expect(taken.last).toBe('yes');
+    const skipped = await runNetworkBots(binary, { handlers, vars: { flag: false } });
+    expect(traceOf(skipped)).toEqual(['emit:"start"', 'if:"start"', 'emit:"no"']);
+  });
+
+  it('runs a loop body the configured number of times', async () => {
+    const blocks = [
+      { id: 'start', type: 'emit', config: { value: 0 } },
+      { id: 'loop', type: 'loop', config: { times: 3, bodyStart: 'body', exitTarget: 'done' } },
+      { id: 'body', type: 'inc' },
+      { id: 'done', type: 'emit', config: { value: 'done' } }
+    ];
+    const connections = [
+      { from: 'start', to: 'loop' },
+      { from: 'loop', to: 'body' },
+      { from: 'body', to: 'loop' },
+      { from: 'loop', to: 'done' }
+    ];
+    const binary = compileGraph(blocks, connections);
+    expect(listing(binary)).toEqual([
+      'EXEC_BLOCK 0',
+      'EXEC_BLOCK 1',
+      'BRANCH_ON_RESULT @21',
+      'EXEC_BLOCK 2',
+      'JMP @5',
+      'EXEC_BLOCK 3',
+      'HALT'
+    ]);
+
+    const context = await runNetworkBots(binary, { handlers });
+    expect(context.vars.n).toBe(3);
+    expect(context.trace.filter(step => step.type === 'inc').map(step => step.value)).toEqual([1, 2, 3]);
+    expect(context.last).toBe('done');
+  });
+
+  it('forks concurrent branches and joins them', async () => {
+    const blocks = [
+      { id: 'start', type: 'emit', config: { value: 'start' } },
+      { id: 'slowBranch', type: 'slow', config: { value: 'slow', delay: 5 } },
+      { id: 'fastBranch', type: 'emit', config: { value: 'fast' } },
+      { id: 'join', type: 'join' },
+      { id: 'after', type: 'emit', config: { value: 'after' } }
+    ];
+    const connections = [
+      { from: 'start', to: 'slowBranch' },
+      { from: 'start', to: 'fastBranch' },
+      { from: 'slowBranch', to: 'join' },
+      { from: 'fastBranch', to: 'join' },
+      { from: 'join', to: 'after' }
+    ];
+    const binary = compileGraph(blocks, connections);
+    const lines = listing(binary);
+    expect(lines[0]).toBe('EXEC_BLOCK 0');
+    expect(lines[1]).toMatch(/^FORK @\d+ @\d+$/);
+    expect(lines.filter(line => line.startsWith('JOIN'))).toEqual(['JOIN 2']);
+    // The join block has no descriptor in the constant pool
+    expect(disassembleBinary(binary).constants.map(c => c.value.type)).toEqual(['emit', 'slow', 'emit', 'emit']);
+
+    const context = await runNetworkBots(binary, { handlers });
+    const values = context.trace.map(step => step.value);
+    expect(values.indexOf('fast')).toBeLessThan(values.indexOf('slow'));
+    expect(values[values.length - 1]).toBe('after');
+    expect(context.trace.filter(step => step.value === 'after')).toHaveLength(1);
+  });
+
+  it('hands the joined values to the block after the join', async () => {
+    const blocks = [
+      { id: 'start', type: 'emit', config: { value: 0 } },
+      { id: 'a', type: 'emit', config: { value: 'a' } },
+      { id: 'b', type: 'slow', config: { value: 'b', delay: 1 } },
+      { id: 'join', type: 'join' },
+      { id: 'collect', type: 'collect' }
+    ];
+    const connections = [
+      { from: 'start', to: 'a' },
+      { from: 'start', to: 'b' },
+      { from: 'a', to: 'join' },
+      { from: 'b', to: 'join' },
+      { from: 'join', to: 'collect' }
+    ];
+    const binary = compileGraph(blocks, connections);
+    const context = await runNetworkBots(binary, {
+      handlers: { ...handlers, collect: (config, ctx) => ({ value: [...ctx.last].sort() }) }
+    });
+    expect(context.last).toEqual(['a', 'b']);
+  });
+
+  it('widens a branch over more than 32 KB of blocks', async () => {
+    const chain = Array.from({ length: 8000 }, (_, i) => ({ id: `b${i}`, type: 'inc' }));
+    const blocks = [
+      { id: 'check', type: 'if', config: { condition: '$flag', trueTarget: 'b0', falseTarget: 'skipped' } },
+      ...chain,
+      { id: 'skipped', type: 'emit', config: { value: 'skipped' } }
+    ];
+    const connections = [
+      { from: 'check', to: 'b0' },
+      { from: 'check', to: 'skipped' },
+      ...chain.slice(1).map((block, i) => ({ from: chain[i].id, to: block.id }))
+    ];
+    const binary = compileGraph(blocks, connections);
+    const { disassembly, constants } = disassembleBinary(binary);
+    const branch = disassembly.find(line => line.mnemonic.startsWith('BRANCH_ON_RESULT'));
+    expect(branch.mnemonic).toBe('BRANCH_ON_RESULT_W');
+    const target = disassembly.find(line => line.address === branch.operands[0].target);
+    expect(target.mnemonic).toBe('EXEC_BLOCK');
+    expect(target.operands[0].value).toBe(constants.findIndex(c => c.value.type === 'emit'));
+
+    const taken = await runNetworkBots(binary, { handlers, vars: { flag: true } });
+    expect(taken.vars.n).toBe(8000);
+    const skipped = await runNetworkBots(binary, { handlers, vars: { flag: false } });
+    expect(traceOf(skipped)).toEqual(['if:undefined', 'emit:"skipped"']);
+  });
+
+  it('rejects graphs without a single start block', () => {
+    expect(() => compileGraph(
+      [{ id: 'a', type: 'emit' }, { id: 'b', type: 'emit' }],
+      [{ from: 'a', to: 'b' }, { from: 'b', to: 'a' }]
+    )).toThrow(/no start block/);
+  });
+});
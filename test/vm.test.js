@@ -0,0 +1,305 @@
+import { describe, it, expect } from 'vitest';
+import { runLogged } from './helpers';
+
+describe('evaluation order', () => {
+  it('evaluates call arguments left to right', async () => {
+    expect(await runLogged(`
+      let n = 0
+      function nx() { return ++n }
+      function f(a, b, c) { return [a, b, c].join(',') }
+      console.log(f(nx(), nx(), nx()))
+    `)).toEqual(['1,2,3']);
+  });
+
+  it('evaluates the callee and its receiver before the arguments', async () => {
+    expect(await runLogged(`
+      function p(x) { console.log(x); return x }
+      const o = { name: 'o', m(v) { return this.name + v } }
+      console.log(p(o).m(p(2)))
+    `)).toEqual(['[object Object]', '2', 'o2']);
+  });
+
+  it('evaluates constructor and super() arguments left to right', async () => {
+    expect(await runLogged(`
+      function p(x) { console.log(x); return x }
+      class A { constructor(a, b) { this.s = a + b } }
+      class B extends A { constructor() { super(p('x'), p('y')) } }
+      console.log(new A(p(1), p(2)).s, new B().s)
+    `)).toEqual(['1', '2', 'x', 'y', '3 xy']);
+  });
+
+  it('passes arguments to super methods in order', async () => {
+    expect(await runLogged(`
+      class A { m(a, b) { return a + '-' + b } }
+      class B extends A { m() { return super.m('a', 'b') } }
+      console.log(new B().m())
+    `)).toEqual(['a-b']);
+  });
+
+  it('steps a generator in argument order', async () => {
+    expect(await runLogged(`
+      function* g() { yield 1; yield 2 }
+      const it = g()
+      console.log(it.next().value, it.next().value)
+    `)).toEqual(['1 2']);
+  });
+
+  it('evaluates a computed member key before the assigned value', async () => {
+    expect(await runLogged(`
+      function p(x) { console.log(x); return x }
+      const o = { n: 1 }
+      o[p('k')] = p('v')
+      o[p('n')] += p(2)
+      console.log(o.k, o.n)
+    `)).toEqual(['k', 'v', 'n', '2', 'v 3']);
+  });
+
+  it('assigns private fields with compound and update operators', async () => {
+    expect(await runLogged(`
+      class C { #a = 1; run(v) { this.#a = v; this.#a += 10; this.#a++; return this.#a } }
+      console.log(new C().run(5))
+    `)).toEqual(['16']);
+  });
+
+  it('evaluates tagged template substitutions in source order', async () => {
+    expect(await runLogged(`
+      function p(x) { console.log(x); return x }
+      function tag(strings, ...values) { return strings.join('|') + ' ' + values.join(',') }
+      console.log(tag\`a\${p(1)}b\${p(2)}c\`)
+    `)).toEqual(['1', '2', 'a|b|c 1,2']);
+  });
+
+  it('evaluates the tag before the substitutions', async () => {
+    expect(await runLogged(`
+      function p(x) { console.log(x); return x }
+      const o = { tag(strings, v) { return this.name + v }, name: 'o' }
+      class A { t(strings, a, b) { return a + b } }
+      class B extends A { run() { return super.t\`\${p('x')}\${p('y')}\` } }
+      console.log(p(o).tag\`\${p(1)}\`, new B().run())
+    `)).toEqual(['[object Object]', '1', 'x', 'y', 'o1 xy']);
+  });
+
+  it('evaluates arguments mixed with spreads in order', async () => {
+    expect(await runLogged(`
+      function p(x) { console.log(x); return x }
+      function f(...args) { return args.join(',') }
+      console.log(f(p(1), ...[p(2), p(3)], p(4)))
+    `)).toEqual(['1', '2', '3', '4', '1,2,3,4']);
+  });
+});
+
+describe('optional chaining', () => {
+  it('short-circuits the rest of the chain when the base is null', async () => {
+    expect(await runLogged(`
+      const a = null
+      const o = { b: { c() { return this.v }, v: 7 } }
+      console.log(a?.b.c(), o?.b.c())
+    `)).toEqual(['undefined 7']);
+  });
+
+  it('does not evaluate a computed key after a nullish base', async () => {
+    expect(await runLogged(`
+      function k() { console.log('k called'); return 'x' }
+      const a = undefined
+      const o = { x: 1 }
+      console.log(a?.[k()])
+      console.log(o?.[k()])
+    `)).toEqual(['undefined', 'k called', '1']);
+  });
+
+  it('calls only a callee that is not nullish', async () => {
+    expect(await runLogged(`
+      function arg() { console.log('arg evaluated'); return 1 }
+      const a = null
+      const f = x => x + 1
+      console.log(a?.(arg()), f?.(arg()))
+    `)).toEqual(['arg evaluated', 'undefined 2']);
+  });
+});
+
+describe('object literal methods', () => {
+  it('look up super properties on the prototype of their object', async () => {
+    expect(await runLogged(`
+      const base = { hi() { return 'hi ' + this.name }, get kind() { return 'base' } }
+      const o = {
+        __proto__: base,
+        name: 'o',
+        hi() { return super.hi() + '!' },
+        get kind() { return super.kind + '+o' },
+        later() { return (() => super.hi())() }
+      }
+      console.log(o.hi(), o.kind, o.later())
+    `)).toEqual(['hi o! base+o hi o']);
+  });
+
+  it('follow a prototype set after the object is created', async () => {
+    expect(await runLogged(`
+      const q = { m() { return super.m() + 'q' } }
+      Object.setPrototypeOf(q, { m() { return 'p' } })
+      console.log(q.m())
+    `)).toEqual(['pq']);
+  });
+});
+
+describe('for-of iterator closing', () => {
+  const generator = `
+    function* g(tag) { try { yield 1; yield 2 } finally { console.log('closed', tag) } }
+  `;
+
+  it('closes the iterator on break, return and throw', async () => {
+    expect(await runLogged(generator + `
+      for (const x of g('break')) break
+      function f() { for (const x of g('return')) return x }
+      console.log(f())
+      try { for (const x of g('throw')) throw new Error('boom') } catch (e) { console.log(e.message) }
+    `)).toEqual(['closed break', 'closed return', '1', 'closed throw', 'boom']);
+  });
+
+  it('closes the iterator of an inner loop left by a labeled continue', async () => {
+    expect(await runLogged(generator + `
+      outer: for (const a of [1, 2]) { for (const x of g(a)) continue outer }
+    `)).toEqual(['closed 1', 'closed 2']);
+  });
+
+  it('does not call return() when the loop runs to completion or continues', async () => {
+    const lines = await runLogged(`
+      const it = { i: 0, [Symbol.iterator]() { return this }, next() { return { value: this.i, done: this.i++ > 2 } }, return() { console.log('return called'); return {} } }
+      for (const x of it) { if (x < 2) continue }
+      console.log('done')
+    `);
+    expect(lines).toEqual(['done']);
+  });
+
+  it('throws the body exception even when return() throws', async () => {
+    expect(await runLogged(`
+      const it = { [Symbol.iterator]() { return this }, next() { return { value: 1, done: false } }, return() { throw new Error('from return') } }
+      try { for (const x of it) throw new Error('from body') } catch (e) { console.log(e.message) }
+      try { for (const x of it) break } catch (e) { console.log(e.message) }
+    `)).toEqual(['from body', 'from return']);
+  });
+
+  it('closes the loop iterator when its generator is closed', async () => {
+    expect(await runLogged(generator + `
+      function* outer() { for (const x of g('inner')) yield x }
+      const it = outer()
+      it.next()
+      console.log(JSON.stringify(it.return(9)))
+    `)).toEqual(['closed inner', '{"value":9,"done":true}']);
+  });
+
+  it('closes an async generator left by break in for await', async () => {
+    expect(await runLogged(`
+      async function* ag() { try { yield 1; yield 2 } finally { console.log('async closed') } }
+      async function f() {
+        for await (const x of ag()) break
+        for await (const x of ag()) return x
+      }
+      console.log(await f())
+    `)).toEqual(['async closed', 'async closed', '1']);
+  });
+});
+
+describe('array destructuring', () => {
+  it('reads strings, sets and generators through their iterators', async () => {
+    expect(await runLogged(`
+      let s = 'abc'
+      const [h, ...t] = s
+      const [a, ...r] = new Set([1, 2, 3])
+      function* gen() { yield 'x'; yield 'y' }
+      const [x, y, z = 'z'] = gen()
+      console.log(h, Array.isArray(t), t.join(), a, r.join(), x, y, z)
+    `)).toEqual(['a true b,c 1 2,3 x y z']);
+  });
+
+  it('closes an iterator it does not exhaust', async () => {
+    expect(await runLogged(`
+      function* gen() { try { yield 1; yield 2; yield 3 } finally { console.log('closed') } }
+      const [a, b] = gen()
+      const [c, ...rest] = gen()
+      console.log(a, b, c, rest.join())
+    `)).toEqual(['closed', 'closed', '1 2 1 2,3']);
+  });
+
+  it('closes the iterator when assigning an element throws, but not when next() throws', async () => {
+    expect(await runLogged(`
+      function* gen() { try { yield undefined } finally { console.log('closed') } }
+      function fail() { throw new Error('default failed') }
+      try { const [a = fail()] = gen() } catch (e) { console.log(e.message) }
+      const broken = { [Symbol.iterator]() { return this }, next() { throw new Error('next failed') }, return() { console.log('return called') } }
+      try { const [b] = broken } catch (e) { console.log(e.message) }
+    `)).toEqual(['closed', 'default failed', 'next failed']);
+  });
+});
+
+describe('destructuring assignment', () => {
+  it('swaps variables through an array pattern', async () => {
+    expect(await runLogged(`
+      let a = 1, b = 2
+      const result = [a, b] = [b, a]
+      console.log(a, b, result.join())
+    `)).toEqual(['2 1 2,1']);
+  });
+
+  it('assigns object patterns with renames, defaults, nesting and rest', async () => {
+    expect(await runLogged(`
+      let a, r, d, n, rest
+      ;({ a, b: r, d = 4, e: [n], ...rest } = { a: 1, b: 2, e: [5], f: 6 })
+      console.log(a, r, d, n, JSON.stringify(rest))
+    `)).toEqual(['1 2 4 5 {"f":6}']);
+  });
+
+  it('assigns to members and private fields', async () => {
+    expect(await runLogged(`
+      const o = {}, list = []
+      ;[o.p, list[0], o['q']] = ['P', 'zero', 'Q']
+      class C { #v; set(v) { ({ v: this.#v } = { v }); return this.#v } }
+      console.log(o.p, list[0], o.q, new C().set(7))
+    `)).toEqual(['P zero Q 7']);
+  });
+
+  it('destructures the for-of value into existing variables', async () => {
+    expect(await runLogged(`
+      let k, v
+      for ([k, v] of [['x', 1], ['y', 2]]) console.log(k + v)
+    `)).toEqual(['x1', 'y2']);
+  });
+});
+
+describe('var declarations', () => {
+  it('shares one binding across loop iterations, unlike let', async () => {
+    expect(await runLogged(`
+      var fs = []
+      for (var i = 0; i < 3; i++) fs.push(() => i)
+      const gs = []
+      for (let j = 0; j < 3; j++) gs.push(() => j)
+      console.log(fs.map(f => f()).join(','), gs.map(g => g()).join(','))
+    `)).toEqual(['3,3,3 0,1,2']);
+  });
+
+  it('is visible in the whole function, before and after its block', async () => {
+    expect(await runLogged(`
+      if (true) { var x = 1 }
+      for (var i = 0; ; ) break
+      function f(a) { console.log(y); { var y = 2 } var a; return [a, y].join() }
+      console.log(x, i, f(5))
+    `)).toEqual(['undefined', '1 0 5,2']);
+  });
+
+  it('keeps its value when redeclared without an initializer', async () => {
+    expect(await runLogged(`
+      var v = 1
+      var v
+      for (var k = 0; k < 2; k++) { var seen; console.log(seen); seen = k }
+      console.log(v)
+    `)).toEqual(['undefined', '0', '1']);
+  });
+});
+
+describe('globals', () => {
+  it('provides the error constructors and number functions', async () => {
+    expect(await runLogged(`
+      try { null.x } catch (e) { console.log(e instanceof TypeError, e instanceof RangeError) }
+      console.log(parseInt('42px'), parseFloat('2.5'), isNaN('x'), isFinite(1), typeof ReferenceError, typeof SyntaxError)
+    `)).toEqual(['true false', '42 2.5 true true function function']);
+  });
+});